@@ -0,0 +1,289 @@
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const { parseListenAddress } = require('./config');
+const { sendMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'API' });
+
+// Send a JSON response
+function sendJson(res, statusCode, body) {
+  const content = JSON.stringify(body, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(content)
+  });
+  res.end(content);
+}
+
+// Error carrying the HTTP status to answer with
+function apiError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Find the project paths matching an id (directory name or full path), every project when id is null
+function findProjects(manager, id) {
+  const projectPaths = [...manager.projects.keys()];
+  if (id === null) return projectPaths;
+
+  const matches = projectPaths.filter(projectPath => projectPath === id || path.basename(projectPath) === id);
+  if (matches.length === 0) {
+    throw apiError(404, `Unknown project: ${id}`);
+  }
+  if (matches.length > 1) {
+    throw apiError(409, `Project name ${id} is ambiguous, use the full path: ${matches.join(', ')}`);
+  }
+  return matches;
+}
+
+// Commit or push each project, paused projects are skipped (or refused when asked for by name)
+async function runAction(manager, action, id) {
+  const projectPaths = findProjects(manager, id);
+  const results = [];
+
+  for (const projectPath of projectPaths) {
+    const project = manager.projects.get(projectPath);
+    const result = { name: path.basename(projectPath), path: projectPath };
+
+    if (!project) {
+      continue;
+    }
+    if (project.paused) {
+      if (id !== null) {
+        throw apiError(409, `Project ${result.name} is paused`);
+      }
+      results.push({ ...result, skipped: 'paused' });
+      continue;
+    }
+
+    const done = action === 'commit'
+      ? await manager.commitProject(projectPath, 'api')
+      : await manager.pushProject(projectPath);
+
+    // Files the commit left out because they look like secrets
+    if (action === 'commit' && project.quarantined.length > 0) {
+      result.quarantined = project.quarantined;
+    }
+
+    // Held back while the user is in the middle of a rebase, merge etc.
+    const deferred = project.deferred;
+    if (!done && deferred && (action === 'commit' || deferred.pushPending)) {
+      results.push({ ...result, skipped: deferred.reason });
+    } else {
+      results.push({ ...result, [action === 'commit' ? 'committed' : 'pushed']: done });
+    }
+  }
+
+  return { results };
+}
+
+// Route a request to the ProjectManager:
+//   GET  /status                  state of every project
+//   GET  /projects/<id>           state of one project
+//   POST /commit, /push           commit or push every project now
+//   POST /projects/<id>/commit    commit one project now (also push, pause, resume)
+//   GET  /projects/<id>/snapshots auto-backup snapshots of a project (?path=, ?limit=)
+//   POST /projects/<id>/restore   restore a project, or ?path=, to a snapshot (?at=<sha or time>)
+//   GET  /metrics                 Prometheus metrics
+async function handleRequest(manager, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw apiError(400, `Invalid URL encoding in ${url.pathname}`);
+  }
+  const [resource, id = null, action = null] = segments;
+
+  const expectMethod = method => {
+    if (req.method !== method) {
+      throw apiError(405, `Use ${method} for ${url.pathname}`);
+    }
+  };
+
+  if (resource === 'status' && segments.length === 1) {
+    expectMethod('GET');
+    const projects = [];
+    for (const projectPath of manager.projects.keys()) {
+      const status = await manager.getProjectStatus(projectPath);
+      if (status) projects.push(status);
+    }
+    return sendJson(res, 200, { projects });
+  }
+
+  if (resource === 'metrics' && segments.length === 1) {
+    expectMethod('GET');
+    return sendMetrics(res);
+  }
+
+  if ((resource === 'commit' || resource === 'push') && segments.length === 1) {
+    expectMethod('POST');
+    return sendJson(res, 200, await runAction(manager, resource, null));
+  }
+
+  if (resource === 'projects' && id !== null && segments.length <= 3) {
+    const [projectPath] = findProjects(manager, id);
+
+    if (action === null) {
+      expectMethod('GET');
+      return sendJson(res, 200, await manager.getProjectStatus(projectPath));
+    }
+    if (action === 'snapshots') {
+      expectMethod('GET');
+      const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit'), 10) : undefined;
+      if (limit !== undefined && !(limit > 0)) {
+        throw apiError(400, 'limit must be a positive number');
+      }
+      const snapshots = await manager.listProjectSnapshots(projectPath, { path: url.searchParams.get('path'), limit });
+      return sendJson(res, 200, { name: path.basename(projectPath), path: projectPath, snapshots });
+    }
+
+    expectMethod('POST');
+    if (action === 'commit' || action === 'push') {
+      return sendJson(res, 200, await runAction(manager, action, projectPath));
+    }
+    if (action === 'restore') {
+      const at = url.searchParams.get('at');
+      if (!at) {
+        throw apiError(400, 'Pass the snapshot to restore as ?at=<sha or time>');
+      }
+      const result = await manager.restoreProject(projectPath, at, url.searchParams.get('path'));
+      return sendJson(res, 200, { name: path.basename(projectPath), path: projectPath, ...result });
+    }
+    if (action === 'pause' || action === 'resume') {
+      await manager.setPaused(projectPath, action === 'pause');
+      return sendJson(res, 200, { name: path.basename(projectPath), path: projectPath, paused: action === 'pause' });
+    }
+  }
+
+  throw apiError(404, `Not found: ${url.pathname}`);
+}
+
+// Remove a unix socket left behind by a daemon that didn't shut down cleanly
+async function removeStaleSocket(socketPath) {
+  let stats;
+  try {
+    stats = fs.statSync(socketPath);
+  } catch {
+    return;
+  }
+  if (!stats.isSocket()) {
+    throw new Error(`${socketPath} exists and is not a socket`);
+  }
+
+  const inUse = await new Promise(resolve => {
+    const client = net.connect(socketPath);
+    client.once('connect', () => {
+      client.end();
+      resolve(true);
+    });
+    client.once('error', () => resolve(false));
+  });
+  if (inUse) {
+    throw new Error(`${socketPath} is in use by another process`);
+  }
+  fs.unlinkSync(socketPath);
+}
+
+// Describe where the API listens, for log messages
+function describeAddress(address) {
+  return address.socketPath ? `unix:${address.socketPath}` : `http://${address.host.includes(':') ? `[${address.host}]` : address.host}:${address.port}`;
+}
+
+// Start the status/control API, resolves with the server once it is listening
+async function startApiServer(manager, listen) {
+  const address = parseListenAddress(listen);
+  if (!address) {
+    throw new Error(`Invalid api_listen address: ${listen}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(manager, req, res).catch(error => {
+      if (!error.statusCode) {
+        log.error(`${req.method} ${req.url} failed`, { error: error.message });
+      }
+      sendJson(res, error.statusCode || 500, { error: error.message });
+    });
+  });
+
+  if (address.socketPath) {
+    await removeStaleSocket(address.socketPath);
+  }
+
+  await new Promise((resolve, reject) => {
+    const onListening = () => {
+      server.removeListener('error', reject);
+      resolve();
+    };
+    server.once('error', reject);
+    if (address.socketPath) {
+      server.listen(address.socketPath, onListening);
+    } else {
+      server.listen(address.port, address.host, onListening);
+    }
+  });
+
+  // Only the user running RepoPush may use the socket
+  if (address.socketPath) {
+    fs.chmodSync(address.socketPath, 0o600);
+  }
+
+  server.on('error', error => {
+    log.error('Server error', { error: error.message });
+  });
+  log.info(`Listening on ${describeAddress(address)}`);
+  return server;
+}
+
+// Stop the API server (node removes its unix socket when closing)
+function stopApiServer(server) {
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+// Send a request to a running daemon, resolves with { statusCode, body } or null when nothing is listening
+function requestApi(listen, method, urlPath) {
+  const address = parseListenAddress(listen);
+  if (!address) {
+    return Promise.reject(new Error(`Invalid api_listen address: ${listen}`));
+  }
+
+  const target = address.socketPath ? { socketPath: address.socketPath } : { host: address.host, port: address.port };
+  return new Promise((resolve, reject) => {
+    const req = http.request({ ...target, method, path: urlPath }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, body: JSON.parse(data) });
+        } catch (error) {
+          reject(new Error(`Invalid response from ${describeAddress(address)}: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', error => {
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOENT') {
+        resolve(null);
+      } else {
+        reject(error);
+      }
+    });
+    req.end();
+  });
+}
+
+module.exports = {
+  startApiServer,
+  stopApiServer,
+  requestApi
+};
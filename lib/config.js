@@ -0,0 +1,879 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { PROVIDER_TYPES } = require('./providers');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+// Directory holding index.js, where config files are looked up by default
+const APP_DIR = path.join(__dirname, '..');
+
+// Structured config file names, checked in this order
+const STRUCTURED_CONFIG_NAMES = ['repopush.yaml', 'repopush.yml', 'repopush.json'];
+
+// Supported push strategies when local and remote history have diverged:
+// - fast-forward: only push when the remote can be fast-forwarded, otherwise skip
+// - rescue: push local history to a separate conflict branch, leave the target alone
+// - force: overwrite the remote branch (local is authoritative)
+const PUSH_STRATEGIES = ['fast-forward', 'rescue', 'force'];
+
+// Supported branch mapping modes:
+// - single: push the current branch to main on the remote (original behaviour)
+// - current: push the current branch to a branch with the same name
+// - all: push every local branch to a branch with the same name
+const BRANCH_MODES = ['single', 'current', 'all'];
+
+// Supported commit modes:
+// - branch: auto-commit onto the checked-out branch (original behaviour)
+// - shadow: snapshot the working tree into refs/repopush/backup/<branch> with a private index,
+//   leaving the user's branch, index and HEAD alone, and push those refs to repopush/backup/<branch>
+const COMMIT_MODES = ['branch', 'shadow'];
+
+// Squashing of unpushed auto-commits before a push (commit_mode=branch only):
+// - off: push auto-commits as they are
+// - push: squash each run of auto-commits since the last push into one commit
+// - daily: like push, but keep one commit per day
+const SQUASH_MODES = ['off', 'push', 'daily'];
+
+// What happens to files larger than max_file_size_mb:
+// - skip: leave them out of auto-commits with a warning
+// - lfs: store them in Git LFS (needs git-lfs), skipped when that isn't possible
+const LARGE_FILE_MODES = ['skip', 'lfs'];
+
+// Default auto-commit subject, see buildCommitMessage for available placeholders
+const DEFAULT_COMMIT_MESSAGE_TEMPLATE = 'Auto backup: {summary} ({files})';
+
+// Paths the file watcher skips, as .gitignore-style patterns relative to each project root.
+// They only stop changes from triggering a commit, what gets committed is decided by git's ignore rules.
+const DEFAULT_WATCH_EXCLUDE = [
+  'node_modules/',
+  'dist/',
+  'build/',
+  'logs/',
+  'tmp/',
+  'cache/',
+  'coverage/',
+  '*.log',
+  '*.tmp'
+];
+
+// Per-project keys that may follow a gitlink line
+const PROJECT_KEYS = [
+  'gitmirror',
+  'gitbranchmode',
+  'gitcommitmode',
+  'gitsquash',
+  'gitlargefiles',
+  'gittargetbranch',
+  'gitdebounce',
+  'gitsynctime',
+  'gitignore',
+  'gitsecretallow',
+  'gitauthorname',
+  'gitauthoremail',
+  'gitpaused'
+];
+
+// Schema for repopush.yaml / repopush.json. Each key maps to a property of the internal config.
+const HOST_SCHEMA = {
+  host: { type: 'string', target: 'host', required: true },
+  type: { type: 'enum', values: PROVIDER_TYPES, target: 'type' },
+  api: { type: 'string', target: 'apiUrl' },
+  token: { type: 'string', target: 'token' },
+  username: { type: 'string', target: 'username' }
+};
+
+const PROJECT_SCHEMA = {
+  gitlink: { type: 'string', target: 'gitlink', required: true },
+  gitlocation: { type: 'string', target: 'gitlocation', required: true },
+  mirrors: { type: 'list', target: 'mirrors' },
+  branch_mode: { type: 'enum', values: BRANCH_MODES, target: 'branchMode' },
+  commit_mode: { type: 'enum', values: COMMIT_MODES, target: 'commitMode' },
+  squash_commits: { type: 'enum', values: SQUASH_MODES, target: 'squashCommits' },
+  large_files: { type: 'enum', values: LARGE_FILE_MODES, target: 'largeFiles' },
+  target_branch: { type: 'string', target: 'targetBranch' },
+  debounce_ms: { type: 'integer', min: 1, target: 'commitDebounceMs' },
+  sync_time: { type: 'integer', min: 1, target: 'syncTime' },
+  ignore: { type: 'list', target: 'ignorePatterns' },
+  secret_allow: { type: 'list', target: 'secretAllow' },
+  author_name: { type: 'string', target: 'authorName' },
+  author_email: { type: 'string', target: 'authorEmail' },
+  paused: { type: 'boolean', target: 'paused' }
+};
+
+const CONFIG_SCHEMA = {
+  token: { type: 'string', target: 'token' },
+  git_author_name: { type: 'string', target: 'gitAuthorName' },
+  git_author_email: { type: 'string', target: 'gitAuthorEmail' },
+  sync_time: { type: 'integer', min: 1, target: 'syncTime' },
+  commit_debounce_ms: { type: 'integer', min: 1, target: 'commitDebounceMs' },
+  push_strategy: { type: 'enum', values: PUSH_STRATEGIES, target: 'pushStrategy' },
+  push_concurrency: { type: 'integer', min: 1, target: 'pushConcurrency' },
+  push_deadline_seconds: { type: 'integer', min: 1, target: 'pushDeadlineSeconds' },
+  branch_mode: { type: 'enum', values: BRANCH_MODES, target: 'branchMode' },
+  commit_mode: { type: 'enum', values: COMMIT_MODES, target: 'commitMode' },
+  squash_commits: { type: 'enum', values: SQUASH_MODES, target: 'squashCommits' },
+  secret_scan: { type: 'boolean', target: 'secretScan' },
+  max_file_size_mb: { type: 'integer', min: 0, target: 'maxFileSizeMb' },
+  large_files: { type: 'enum', values: LARGE_FILE_MODES, target: 'largeFiles' },
+  commit_message_template: { type: 'string', target: 'commitMessageTemplate' },
+  watch_exclude: { type: 'list', target: 'watchExclude' },
+  api_listen: { type: 'listen', target: 'apiListen' },
+  metrics_listen: { type: 'listen', anyHost: true, allowSocket: false, target: 'metricsListen' },
+  log_level: { type: 'enum', values: LOG_LEVELS, target: 'logLevel' },
+  log_format: { type: 'enum', values: LOG_FORMATS, target: 'logFormat' },
+  log_file: { type: 'string', target: 'logFile' },
+  state_file: { type: 'string', target: 'stateFile' },
+  log_max_size_mb: { type: 'integer', min: 0, target: 'logMaxSizeMb' },
+  log_max_files: { type: 'integer', min: 0, target: 'logMaxFiles' },
+  notify_webhook: { type: 'string', target: 'notifyWebhook' },
+  notify_slack_webhook: { type: 'string', target: 'notifySlackWebhook' },
+  notify_email_to: { type: 'list', target: 'notifyEmailTo' },
+  notify_email_from: { type: 'string', target: 'notifyEmailFrom' },
+  notify_smtp_host: { type: 'string', target: 'notifySmtpHost' },
+  notify_smtp_port: { type: 'integer', min: 1, target: 'notifySmtpPort' },
+  notify_smtp_secure: { type: 'boolean', target: 'notifySmtpSecure' },
+  notify_smtp_user: { type: 'string', target: 'notifySmtpUser' },
+  notify_smtp_password: { type: 'string', target: 'notifySmtpPassword' },
+  notify_failure_threshold: { type: 'integer', min: 1, target: 'notifyFailureThreshold' },
+  notify_interval_minutes: { type: 'integer', min: 1, target: 'notifyIntervalMinutes' },
+  project_root: { type: 'string', target: 'projectRoot' },
+  project_root_gitlink: { type: 'string', target: 'projectRootGitlink' },
+  project_root_include: { type: 'list', target: 'projectRootInclude' },
+  project_root_exclude: { type: 'list', target: 'projectRootExclude' },
+  git_hosts: { type: 'entries', schema: HOST_SCHEMA, create: createHostConfig, target: 'gitHosts' },
+  projects: { type: 'entries', schema: PROJECT_SCHEMA, create: () => createProjectConfig(null), target: 'projects' }
+};
+
+// Create a config with every global setting at its default
+function createDefaultConfig() {
+  return {
+    token: null,
+    gitAuthorName: null,
+    gitAuthorEmail: null,
+    syncTime: 60, // default 60 minutes
+    commitDebounceMs: 3000, // default 3 seconds debounce for commits
+    pushStrategy: 'force', // default force push (local is authoritative)
+    pushConcurrency: 4, // projects pushed at the same time
+    pushDeadlineSeconds: 600, // a project's push is cancelled after 10 minutes
+    branchMode: 'single', // default push current branch to main
+    commitMode: 'branch', // default commit onto the checked-out branch
+    squashCommits: 'off', // default push auto-commits as they are
+    secretScan: true, // keep files that look like secrets out of auto-commits
+    maxFileSizeMb: 100, // GitHub rejects files over 100 MB (0 disables the limit)
+    largeFiles: 'skip', // default leave files over the limit out of auto-commits
+    commitMessageTemplate: DEFAULT_COMMIT_MESSAGE_TEMPLATE,
+    watchExclude: [...DEFAULT_WATCH_EXCLUDE],
+    apiListen: null, // status/control API disabled unless configured
+    metricsListen: null, // Prometheus metrics only served by the API unless configured
+    logLevel: 'info',
+    logFormat: 'text',
+    logFile: null, // console only unless configured
+    logMaxSizeMb: 10, // rotate the log file at 10 MB (0 disables rotation)
+    logMaxFiles: 5, // rotated log files to keep
+    stateFile: null, // repopush-state.json next to the config file unless configured
+    notifyWebhook: null, // generic JSON webhook
+    notifySlackWebhook: null, // Slack (or Discord) incoming webhook
+    notifyEmailTo: [],
+    notifyEmailFrom: null, // defaults to notify_smtp_user
+    notifySmtpHost: null,
+    notifySmtpPort: 587,
+    notifySmtpSecure: false, // true for implicit TLS (port 465), otherwise STARTTLS when offered
+    notifySmtpUser: null,
+    notifySmtpPassword: null,
+    notifyFailureThreshold: 3, // consecutive push failures before notifying
+    notifyIntervalMinutes: 60, // minimum time between repeats of the same notification
+    projectRoot: null, // every subdirectory of this directory is a project, see lib/discovery.js
+    projectRootGitlink: null, // gitlink template of discovered projects, {name} is the directory name
+    projectRootInclude: [], // glob patterns of directory names to pick up (all when empty)
+    projectRootExclude: [], // glob patterns of directory names to skip
+    gitHosts: [],
+    projects: []
+  };
+}
+
+// Create a git host entry
+function createHostConfig(host = null) {
+  return { host, type: null, apiUrl: null, token: null, username: null };
+}
+
+// Create a project entry, settings left as null inherit the global value
+function createProjectConfig(gitlink) {
+  return {
+    gitlink,
+    gitlocation: null,
+    mirrors: [],
+    branchMode: null,
+    commitMode: null,
+    squashCommits: null,
+    largeFiles: null,
+    targetBranch: null,
+    commitDebounceMs: null,
+    syncTime: null,
+    ignorePatterns: [],
+    secretAllow: [], // .gitignore-style patterns of files the secret scan never reports
+    authorName: null,
+    authorEmail: null,
+    paused: false
+  };
+}
+
+// Parse a boolean setting value, returns null if it isn't recognised
+function parseBoolean(value) {
+  const normalized = String(value).toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+  return null;
+}
+
+// Parse a listen address: a port or host:port (a loopback address unless anyHost is set), or a unix
+// socket path (unless allowSocket is false). Returns { host, port } or { socketPath }, null if invalid.
+function parseListenAddress(value, options = {}) {
+  const { anyHost = false, allowSocket = true } = options;
+  const text = String(value).trim();
+  if (text.startsWith('/') || text.startsWith('unix:')) {
+    const socketPath = text.replace(/^unix:/, '');
+    return allowSocket && path.isAbsolute(socketPath) ? { socketPath } : null;
+  }
+
+  const match = text.match(/^(?:\[?([^\]]*?)\]?:)?(\d+)$/);
+  if (!match) return null;
+
+  const host = match[1] || '127.0.0.1';
+  const port = parseInt(match[2], 10);
+  const isLoopback = host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+  return (anyHost || isLoopback) && port > 0 && port < 65536 ? { host, port } : null;
+}
+
+// Format a config problem as "file:line: key: message"
+function formatIssue(file, line, key, message) {
+  const location = line ? `${file}:${line}` : file;
+  return key ? `${location}: ${key}: ${message}` : `${location}: ${message}`;
+}
+
+// Apply a per-project .env key to a project entry
+function applyProjectSetting(project, key, value, warn) {
+  const invalid = expected => {
+    warn(`invalid value "${value}" for ${project.gitlink} (expected ${expected}), ignoring`);
+  };
+
+  if (key === 'gitmirror') {
+    project.mirrors.push(value);
+  } else if (key === 'gitbranchmode') {
+    if (BRANCH_MODES.includes(value)) {
+      project.branchMode = value;
+    } else {
+      invalid(BRANCH_MODES.join(', '));
+    }
+  } else if (key === 'gitcommitmode') {
+    if (COMMIT_MODES.includes(value)) {
+      project.commitMode = value;
+    } else {
+      invalid(COMMIT_MODES.join(', '));
+    }
+  } else if (key === 'gitsquash') {
+    if (SQUASH_MODES.includes(value)) {
+      project.squashCommits = value;
+    } else {
+      invalid(SQUASH_MODES.join(', '));
+    }
+  } else if (key === 'gitlargefiles') {
+    if (LARGE_FILE_MODES.includes(value)) {
+      project.largeFiles = value;
+    } else {
+      invalid(LARGE_FILE_MODES.join(', '));
+    }
+  } else if (key === 'gittargetbranch') {
+    project.targetBranch = value;
+  } else if (key === 'gitdebounce' || key === 'gitsynctime') {
+    const number = parseInt(value, 10);
+    if (!(number > 0)) {
+      invalid('a positive number');
+    } else if (key === 'gitdebounce') {
+      project.commitDebounceMs = number;
+    } else {
+      project.syncTime = number;
+    }
+  } else if (key === 'gitignore') {
+    // Comma-separated .gitignore-style patterns, the key may be repeated
+    project.ignorePatterns.push(...value.split(',').map(pattern => pattern.trim()).filter(Boolean));
+  } else if (key === 'gitsecretallow') {
+    // Comma-separated .gitignore-style patterns, the key may be repeated
+    project.secretAllow.push(...value.split(',').map(pattern => pattern.trim()).filter(Boolean));
+  } else if (key === 'gitauthorname') {
+    project.authorName = value;
+  } else if (key === 'gitauthoremail') {
+    project.authorEmail = value;
+  } else if (key === 'gitpaused') {
+    const paused = parseBoolean(value);
+    if (paused === null) {
+      invalid('true or false');
+    } else {
+      project.paused = paused;
+    }
+  }
+}
+
+// Parse .env content and extract configuration
+function parseEnvContent(content, file) {
+  const config = createDefaultConfig();
+  const errors = [];
+  const warnings = [];
+
+  const lines = content.split('\n');
+  let currentProject = null;
+  let currentHost = null;
+
+  // Projects need both a gitlink and a gitlocation, report the ones that don't
+  const finishProject = () => {
+    if (!currentProject) return;
+    if (currentProject.gitlocation) {
+      config.projects.push(currentProject);
+    } else {
+      warnings.push(formatIssue(file, currentProject.line, 'gitlink', `${currentProject.gitlink} has no gitlocation, ignoring project`));
+    }
+  };
+
+  // Parse each line of the .env file
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const trimmed = line.trim();
+
+    // Skip comments and empty lines
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    // Parse key = value format
+    const match = trimmed.match(/^([^=]+?)\s*=\s*(.+)$/);
+    if (!match) return;
+
+    const key = match[1].trim();
+    const value = match[2].trim();
+    const warn = message => warnings.push(formatIssue(file, lineNumber, key, message));
+
+    // Map .env keys to config properties
+    if (key === 'token') {
+      config.token = value;
+    } else if (key === 'git_author_name') {
+      config.gitAuthorName = value;
+    } else if (key === 'git_author_email') {
+      config.gitAuthorEmail = value;
+    } else if (key === 'sync_time' || key === 'commit_debounce_ms') {
+      const number = parseInt(value, 10);
+      const property = key === 'sync_time' ? 'syncTime' : 'commitDebounceMs';
+      if (number > 0) {
+        config[property] = number;
+      } else {
+        warn(`invalid number "${value}", using default ${config[property]}`);
+      }
+    } else if (key === 'push_strategy') {
+      if (PUSH_STRATEGIES.includes(value)) {
+        config.pushStrategy = value;
+      } else {
+        warn(`unknown strategy "${value}", using "force" (valid: ${PUSH_STRATEGIES.join(', ')})`);
+      }
+    } else if (key === 'branch_mode') {
+      if (BRANCH_MODES.includes(value)) {
+        config.branchMode = value;
+      } else {
+        warn(`unknown mode "${value}", using "single" (valid: ${BRANCH_MODES.join(', ')})`);
+      }
+    } else if (key === 'commit_mode') {
+      if (COMMIT_MODES.includes(value)) {
+        config.commitMode = value;
+      } else {
+        warn(`unknown mode "${value}", using "branch" (valid: ${COMMIT_MODES.join(', ')})`);
+      }
+    } else if (key === 'squash_commits') {
+      if (SQUASH_MODES.includes(value)) {
+        config.squashCommits = value;
+      } else {
+        warn(`unknown mode "${value}", using "off" (valid: ${SQUASH_MODES.join(', ')})`);
+      }
+    } else if (key === 'large_files') {
+      if (LARGE_FILE_MODES.includes(value)) {
+        config.largeFiles = value;
+      } else {
+        warn(`unknown mode "${value}", using "skip" (valid: ${LARGE_FILE_MODES.join(', ')})`);
+      }
+    } else if (key === 'commit_message_template') {
+      config.commitMessageTemplate = value;
+    } else if (key === 'api_listen') {
+      if (parseListenAddress(value)) {
+        config.apiListen = value;
+      } else {
+        warn(`invalid address "${value}", API disabled (expected a port, localhost:port or a unix socket path)`);
+      }
+    } else if (key === 'metrics_listen') {
+      if (parseListenAddress(value, { anyHost: true, allowSocket: false })) {
+        config.metricsListen = value;
+      } else {
+        warn(`invalid address "${value}", metrics server disabled (expected a port or host:port)`);
+      }
+    } else if (key === 'log_level' || key === 'log_format') {
+      const values = key === 'log_level' ? LOG_LEVELS : LOG_FORMATS;
+      const property = key === 'log_level' ? 'logLevel' : 'logFormat';
+      if (values.includes(value)) {
+        config[property] = value;
+      } else {
+        warn(`unknown value "${value}", using "${config[property]}" (valid: ${values.join(', ')})`);
+      }
+    } else if (key === 'log_file') {
+      config.logFile = value;
+    } else if (key === 'state_file') {
+      config.stateFile = value;
+    } else if (key === 'log_max_size_mb' || key === 'log_max_files') {
+      const property = key === 'log_max_size_mb' ? 'logMaxSizeMb' : 'logMaxFiles';
+      if (/^\d+$/.test(value)) {
+        config[property] = parseInt(value, 10);
+      } else {
+        warn(`invalid number "${value}", using default ${config[property]}`);
+      }
+    } else if (key === 'notify_email_to') {
+      // Comma-separated addresses
+      config.notifyEmailTo = value.split(',').map(address => address.trim()).filter(Boolean);
+    } else if ((key.startsWith('notify_') || key.startsWith('push_') || key === 'secret_scan' || key === 'max_file_size_mb') && CONFIG_SCHEMA[key]) {
+      // Other notification, push queue, secret scan and file size settings are plain values, validated the same way as in repopush.yaml
+      const result = convertValue(CONFIG_SCHEMA[key], value);
+      if (result.error) {
+        warn(`${result.error}, ignoring`);
+      } else {
+        config[CONFIG_SCHEMA[key].target] = result.value;
+      }
+    } else if (key === 'watch_exclude') {
+      // Comma-separated patterns, replaces the defaults
+      config.watchExclude = value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+    } else if (key === 'project_root') {
+      config.projectRoot = value;
+    } else if (key === 'project_root_gitlink') {
+      config.projectRootGitlink = value;
+    } else if (key === 'project_root_include' || key === 'project_root_exclude') {
+      // Comma-separated patterns
+      const property = key === 'project_root_include' ? 'projectRootInclude' : 'projectRootExclude';
+      config[property] = value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+    } else if (key === 'git_host') {
+      // Start a new git host entry (self-hosted or custom API URL)
+      currentHost = createHostConfig(value);
+      config.gitHosts.push(currentHost);
+    } else if (key === 'git_host_type' || key === 'git_host_api' || key === 'git_host_token' || key === 'git_host_username') {
+      // Complete the current git host entry
+      if (!currentHost) {
+        warn('must follow a git_host line, ignoring');
+      } else if (key === 'git_host_type') {
+        if (PROVIDER_TYPES.includes(value)) {
+          currentHost.type = value;
+        } else {
+          warn(`unknown type "${value}" for ${currentHost.host} (valid: ${PROVIDER_TYPES.join(', ')})`);
+        }
+      } else if (key === 'git_host_api') {
+        currentHost.apiUrl = value;
+      } else if (key === 'git_host_token') {
+        currentHost.token = value;
+      } else {
+        currentHost.username = value;
+      }
+    } else if (key === 'gitlink') {
+      // Start a new project entry, finishing the previous one
+      finishProject();
+      currentProject = createProjectConfig(value);
+      Object.defineProperty(currentProject, 'line', { value: lineNumber, enumerable: false });
+    } else if (PROJECT_KEYS.includes(key)) {
+      // Per-project setting, applies to the project started by the last gitlink
+      if (currentProject) {
+        applyProjectSetting(currentProject, key, value, warn);
+      } else {
+        warn('must follow a gitlink line, ignoring');
+      }
+    } else if (key === 'gitlocation') {
+      // Complete the current project entry
+      if (!currentProject) {
+        warn(`${value} has no gitlink before it, ignoring`);
+        return;
+      }
+      if (currentProject.gitlocation) {
+        warn(`${currentProject.gitlink} already has gitlocation ${currentProject.gitlocation}, replacing it with ${value}`);
+      }
+      currentProject.gitlocation = value;
+    }
+  });
+
+  // Add last project if it's complete
+  finishProject();
+
+  // Later duplicates are dropped so existing .env files keep working
+  for (const duplicate of findDuplicateLocations(config.projects)) {
+    warnings.push(formatIssue(file, duplicate.line, 'gitlocation', `${duplicate.gitlocation} is already configured, ignoring duplicate`));
+    config.projects.splice(config.projects.indexOf(duplicate), 1);
+  }
+
+  return { config, errors, warnings };
+}
+
+// Find projects whose gitlocation repeats an earlier project's
+function findDuplicateLocations(projects) {
+  const seen = new Set();
+  const duplicates = [];
+  for (const project of projects) {
+    if (!project.gitlocation) continue;
+    const location = path.resolve(project.gitlocation);
+    if (seen.has(location)) {
+      duplicates.push(project);
+    } else {
+      seen.add(location);
+    }
+  }
+  return duplicates;
+}
+
+// Convert a YAML scalar to the type a schema field expects, returns { value } or { error }
+function convertValue(field, raw) {
+  if (field.type === 'string') {
+    if (typeof raw === 'string' || typeof raw === 'number') return { value: String(raw) };
+    return { error: `expected a string, got ${JSON.stringify(raw)}` };
+  }
+  if (field.type === 'integer') {
+    const number = typeof raw === 'string' && /^\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+    if (Number.isInteger(number) && number >= (field.min || 0)) return { value: number };
+    return { error: `expected an integer >= ${field.min || 0}, got ${JSON.stringify(raw)}` };
+  }
+  if (field.type === 'boolean') {
+    const bool = typeof raw === 'boolean' ? raw : parseBoolean(raw);
+    if (bool !== null) return { value: bool };
+    return { error: `expected true or false, got ${JSON.stringify(raw)}` };
+  }
+  if (field.type === 'listen') {
+    const options = { anyHost: field.anyHost, allowSocket: field.allowSocket };
+    if ((typeof raw === 'string' || typeof raw === 'number') && parseListenAddress(raw, options)) return { value: String(raw) };
+    const expected = field.anyHost ? 'a port or host:port' : 'a port, localhost:port or a unix socket path';
+    return { error: `expected ${expected}, got ${JSON.stringify(raw)}` };
+  }
+  if (field.type === 'enum') {
+    if (field.values.includes(raw)) return { value: raw };
+    return { error: `expected one of ${field.values.join(', ')}, got ${JSON.stringify(raw)}` };
+  }
+  return { error: `unsupported field type ${field.type}` };
+}
+
+// Validate a YAML map node against a schema, copying values onto target
+function applySchema(mapNode, schema, target, context) {
+  const { file, lineOf, errors, warnings, prefix } = context;
+  const seenKeys = new Set();
+
+  for (const pair of mapNode.items) {
+    const key = YAML.isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const line = lineOf(pair.key);
+    const field = schema[key];
+    seenKeys.add(key);
+
+    if (!field) {
+      warnings.push(formatIssue(file, line, keyPath, 'unknown key, ignoring'));
+      continue;
+    }
+
+    // Empty values leave the default in place
+    const valueNode = pair.value;
+    if (valueNode === null || (YAML.isScalar(valueNode) && valueNode.value === null)) {
+      continue;
+    }
+
+    if (field.type === 'entries') {
+      if (!YAML.isSeq(valueNode)) {
+        errors.push(formatIssue(file, line, keyPath, 'expected a list of entries'));
+        continue;
+      }
+      valueNode.items.forEach((itemNode, index) => {
+        const itemPath = `${keyPath}[${index}]`;
+        if (!YAML.isMap(itemNode)) {
+          errors.push(formatIssue(file, lineOf(itemNode), itemPath, 'expected a mapping'));
+          return;
+        }
+        const entry = field.create();
+        Object.defineProperty(entry, 'line', { value: lineOf(itemNode), enumerable: false });
+        applySchema(itemNode, field.schema, entry, { ...context, prefix: itemPath });
+        target[field.target].push(entry);
+      });
+      continue;
+    }
+
+    if (field.type === 'list') {
+      // Accept a single string as a one-item list
+      const items = YAML.isSeq(valueNode) ? valueNode.items : [valueNode];
+      const values = [];
+      for (const itemNode of items) {
+        if (!YAML.isScalar(itemNode) || typeof itemNode.value !== 'string') {
+          errors.push(formatIssue(file, lineOf(itemNode), keyPath, 'expected a list of strings'));
+          continue;
+        }
+        values.push(itemNode.value);
+      }
+      target[field.target] = values;
+      continue;
+    }
+
+    if (!YAML.isScalar(valueNode)) {
+      errors.push(formatIssue(file, line, keyPath, `expected a single ${field.type} value`));
+      continue;
+    }
+
+    const result = convertValue(field, valueNode.value);
+    if (result.error) {
+      errors.push(formatIssue(file, lineOf(valueNode), keyPath, result.error));
+    } else {
+      target[field.target] = result.value;
+    }
+  }
+
+  for (const [key, field] of Object.entries(schema)) {
+    if (field.required && !seenKeys.has(key)) {
+      errors.push(formatIssue(file, lineOf(mapNode), prefix ? `${prefix}.${key}` : key, 'is required'));
+    }
+  }
+}
+
+// Parse repopush.yaml / repopush.json (JSON is valid YAML, so one parser covers both)
+function parseStructuredContent(content, file) {
+  const config = createDefaultConfig();
+  const errors = [];
+  const warnings = [];
+
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(content, { lineCounter, uniqueKeys: true });
+  const lineOf = node => (node && node.range ? lineCounter.linePos(node.range[0]).line : null);
+
+  for (const error of doc.errors) {
+    const line = error.linePos ? error.linePos[0].line : null;
+    const message = error.message.split('\n')[0].replace(/\s+at line \d+, column \d+:?$/, '');
+    errors.push(formatIssue(file, line, null, message));
+  }
+  if (errors.length > 0) {
+    return { config, errors, warnings };
+  }
+
+  if (!YAML.isMap(doc.contents)) {
+    errors.push(formatIssue(file, lineOf(doc.contents), null, 'expected a mapping of settings at the top level'));
+    return { config, errors, warnings };
+  }
+
+  applySchema(doc.contents, CONFIG_SCHEMA, config, { file, lineOf, errors, warnings, prefix: '' });
+
+  for (const duplicate of findDuplicateLocations(config.projects)) {
+    const keyPath = `projects[${config.projects.indexOf(duplicate)}].gitlocation`;
+    errors.push(formatIssue(file, duplicate.line, keyPath, `${duplicate.gitlocation} is configured more than once`));
+  }
+
+  return { config, errors, warnings };
+}
+
+// Check if a path is a structured (YAML/JSON) config file
+function isStructuredConfig(configPath) {
+  return /\.(ya?ml|json)$/i.test(configPath);
+}
+
+// Parse config content the way the file at configPath would be parsed
+function parseConfigContent(configPath, content) {
+  const file = path.basename(configPath);
+  const result = isStructuredConfig(configPath) ? parseStructuredContent(content, file) : parseEnvContent(content, file);
+
+  if (result.config.notifyEmailTo.length > 0 && !result.config.notifySmtpHost) {
+    result.warnings.push(formatIssue(file, null, 'notify_email_to', 'set without notify_smtp_host, email notifications are disabled'));
+  }
+
+  // Discovered projects need a remote, one per directory
+  const { projectRoot, projectRootGitlink } = result.config;
+  if (projectRoot && !projectRootGitlink) {
+    result.errors.push(formatIssue(file, null, 'project_root_gitlink', 'is required with project_root (e.g. https://github.com/you/{name})'));
+  } else if (projectRoot && !projectRootGitlink.includes('{name}')) {
+    result.errors.push(formatIssue(file, null, 'project_root_gitlink', `${projectRootGitlink} has no {name} placeholder, every project would push to the same repository`));
+  } else if (!projectRoot && projectRootGitlink) {
+    result.warnings.push(formatIssue(file, null, 'project_root_gitlink', 'set without project_root, ignoring'));
+  }
+  return result;
+}
+
+// Load configuration from .env or repopush.yaml/.json, returns { config, errors, warnings }
+function loadConfig(configPath) {
+  try {
+    return parseConfigContent(configPath, fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    return {
+      config: createDefaultConfig(),
+      errors: [formatIssue(path.basename(configPath), null, null, `failed to read: ${error.message}`)],
+      warnings: []
+    };
+  }
+}
+
+// Get .env file path
+function getEnvPath() {
+  return process.env.ENV_FILE || path.join(APP_DIR, '.env');
+}
+
+// Get config file path: CONFIG_FILE, then ENV_FILE, then repopush.yaml/.yml/.json, then .env
+function getConfigPath() {
+  if (process.env.CONFIG_FILE) return process.env.CONFIG_FILE;
+  if (process.env.ENV_FILE) return process.env.ENV_FILE;
+
+  for (const name of STRUCTURED_CONFIG_NAMES) {
+    const candidate = path.join(APP_DIR, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return getEnvPath();
+}
+
+// Convert an internal config back to the structured file layout, omitting defaults
+function toStructuredConfig(config) {
+  const defaults = createDefaultConfig();
+  const output = {};
+
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    if (field.type === 'entries') continue;
+    const value = config[field.target];
+    if (value !== null && JSON.stringify(value) !== JSON.stringify(defaults[field.target])) {
+      output[key] = value;
+    }
+  }
+
+  const convertEntry = (entry, schema, emptyEntry) => {
+    const result = {};
+    for (const [key, field] of Object.entries(schema)) {
+      const value = entry[field.target];
+      const isEmpty = value === null || (Array.isArray(value) && value.length === 0);
+      if (!isEmpty && (field.required || JSON.stringify(value) !== JSON.stringify(emptyEntry[field.target]))) {
+        result[key] = value;
+      }
+    }
+    return result;
+  };
+
+  if (config.gitHosts.length > 0) {
+    output.git_hosts = config.gitHosts.map(host => convertEntry(host, HOST_SCHEMA, createHostConfig()));
+  }
+  output.projects = config.projects.map(project => convertEntry(project, PROJECT_SCHEMA, createProjectConfig(null)));
+
+  return output;
+}
+
+// Write a config as YAML or JSON depending on the target file extension
+function writeStructuredConfig(config, targetPath) {
+  const output = toStructuredConfig(config);
+  const content = /\.json$/i.test(targetPath)
+    ? `${JSON.stringify(output, null, 2)}\n`
+    : `# RepoPush configuration (converted from .env)\n${YAML.stringify(output)}`;
+  fs.writeFileSync(targetPath, content, { mode: 0o600 });
+}
+
+// Edit a config file and write it back only if the result is valid. The file is rewritten in
+// place rather than replaced, so single-file Docker bind mounts and the hot-reload watcher keep working.
+function updateConfigFile(configPath, edit) {
+  const content = fs.readFileSync(configPath, 'utf8');
+  const { config } = parseConfigContent(configPath, content);
+  const newContent = edit(content, config);
+
+  const { errors } = parseConfigContent(configPath, newContent);
+  if (errors.length > 0) {
+    throw new Error(`the edited config would be invalid: ${errors[0]}`);
+  }
+  fs.writeFileSync(configPath, newContent);
+}
+
+// Add a project to a config file, keeping its comments and layout
+function addProjectToConfig(configPath, gitlink, gitlocation) {
+  updateConfigFile(configPath, (content, config) => {
+    const target = path.resolve(gitlocation);
+    if (config.projects.some(project => project.gitlocation && path.resolve(project.gitlocation) === target)) {
+      throw new Error(`${gitlocation} is already configured`);
+    }
+
+    if (!isStructuredConfig(configPath)) {
+      const separator = content === '' || content.endsWith('\n\n') ? '' : content.endsWith('\n') ? '\n' : '\n\n';
+      return `${content}${separator}gitlink = ${gitlink}\ngitlocation = ${gitlocation}\n`;
+    }
+
+    if (/\.json$/i.test(configPath)) {
+      const data = content.trim() ? JSON.parse(content) : {};
+      data.projects = [...(data.projects || []), { gitlink, gitlocation }];
+      return `${JSON.stringify(data, null, 2)}\n`;
+    }
+
+    const doc = YAML.parseDocument(content);
+    const projects = doc.get('projects');
+    if (YAML.isSeq(projects)) {
+      projects.flow = false;
+      projects.add(doc.createNode({ gitlink, gitlocation }));
+    } else {
+      doc.set('projects', doc.createNode([{ gitlink, gitlocation }]));
+    }
+    return doc.toString();
+  });
+}
+
+// Remove a project (and its per-project settings) from a config file, returns the removed project
+function removeProjectFromConfig(configPath, gitlocation) {
+  const target = path.resolve(gitlocation);
+  const matches = value => typeof value === 'string' && path.resolve(value) === target;
+  let removed = null;
+
+  updateConfigFile(configPath, (content, config) => {
+    removed = config.projects.find(project => matches(project.gitlocation));
+    if (!removed) {
+      throw new Error(`${gitlocation} is not configured`);
+    }
+
+    if (!isStructuredConfig(configPath)) {
+      // Drop the gitlink line and the project keys that follow it, up to the next unrelated key
+      const lines = content.split('\n');
+      const start = removed.line - 1;
+      let end = start;
+      for (let index = start + 1; index < lines.length; index++) {
+        const trimmed = lines[index].trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+        const match = trimmed.match(/^([^=]+?)\s*=/);
+        const key = match ? match[1].trim() : null;
+        if (key !== 'gitlocation' && !PROJECT_KEYS.includes(key)) break;
+        end = index;
+      }
+      lines.splice(start, end - start + 1);
+
+      // Don't leave two blank lines where the project was
+      if (start > 0 && !lines[start - 1].trim() && lines[start] !== undefined && !lines[start].trim()) {
+        lines.splice(start, 1);
+      }
+      return lines.join('\n');
+    }
+
+    if (/\.json$/i.test(configPath)) {
+      const data = JSON.parse(content);
+      data.projects = data.projects.filter(project => !matches(project.gitlocation));
+      return `${JSON.stringify(data, null, 2)}\n`;
+    }
+
+    const doc = YAML.parseDocument(content);
+    const projects = doc.get('projects');
+    const index = projects.items.findIndex(item => YAML.isMap(item) && matches(item.get('gitlocation')));
+    projects.delete(index);
+    return doc.toString();
+  });
+
+  return removed;
+}
+
+module.exports = {
+  PUSH_STRATEGIES,
+  BRANCH_MODES,
+  COMMIT_MODES,
+  SQUASH_MODES,
+  LARGE_FILE_MODES,
+  DEFAULT_COMMIT_MESSAGE_TEMPLATE,
+  DEFAULT_WATCH_EXCLUDE,
+  STRUCTURED_CONFIG_NAMES,
+  createProjectConfig,
+  parseListenAddress,
+  loadConfig,
+  addProjectToConfig,
+  removeProjectFromConfig,
+  getConfigPath,
+  getEnvPath,
+  isStructuredConfig,
+  writeStructuredConfig
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const { createProjectConfig } = require('./config');
+
+// Placeholder of project_root_gitlink replaced by a directory's name
+const NAME_PLACEHOLDER = '{name}';
+
+// Build a discovered project's gitlink from the template. Characters git hosts don't allow in
+// repository names become dashes ("My App" -> "My-App").
+function buildRootGitlink(template, name) {
+  const repoName = name.replace(/[^A-Za-z0-9._-]+/g, '-');
+  return template.split(NAME_PLACEHOLDER).join(repoName);
+}
+
+// Matcher deciding which directory names of project_root are projects. Hidden directories never are,
+// otherwise a name has to match project_root_include (when set) and not project_root_exclude.
+function createRootMatcher(config) {
+  const include = config.projectRootInclude.length > 0 ? ignore().add(config.projectRootInclude) : null;
+  const exclude = ignore().add(config.projectRootExclude);
+  return name => !name.startsWith('.') && (!include || include.ignores(name)) && !exclude.ignores(name);
+}
+
+// Find the projects in project_root, one per matching subdirectory. Directories that are already
+// configured as a project are left to their own entry. Throws when project_root can't be read.
+function discoverProjects(config) {
+  if (!config.projectRoot) return [];
+
+  const root = path.resolve(config.projectRoot);
+  const configured = new Set(config.projects.map(project => path.resolve(project.gitlocation)));
+  const matches = createRootMatcher(config);
+
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && matches(entry.name))
+    .map(entry => path.join(root, entry.name))
+    .filter(gitlocation => !configured.has(gitlocation))
+    .sort()
+    .map(gitlocation => {
+      const project = createProjectConfig(buildRootGitlink(config.projectRootGitlink, path.basename(gitlocation)));
+      project.gitlocation = gitlocation;
+      Object.defineProperty(project, 'discovered', { value: true, enumerable: false });
+      return project;
+    });
+}
+
+module.exports = {
+  NAME_PLACEHOLDER,
+  buildRootGitlink,
+  createRootMatcher,
+  discoverProjects
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ignore = require('ignore');
+const { logger } = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+// Convert an absolute path to a project-relative path with forward slashes, null if outside the project
+function toRelativePath(projectPath, filePath) {
+  const relative = path.relative(projectPath, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+// Path of the user's global excludes file (core.excludesFile, or git's XDG default)
+async function getExcludesFile(projectPath) {
+  try {
+    const { stdout } = await execFileAsync('git', ['config', '--path', '--get', 'core.excludesFile'], {
+      cwd: projectPath,
+      timeout: 10000
+    });
+    if (stdout.trim()) {
+      return path.resolve(projectPath, stdout.trim());
+    }
+  } catch (error) {
+    // Exit code 1 means the setting isn't configured
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'git', 'ignore');
+}
+
+// Path of the repository's info/exclude file. Worktrees and submodules have a .git file pointing
+// elsewhere, so git is asked where it is.
+async function getInfoExcludeFile(projectPath) {
+  try {
+    const { stdout } = await execFileAsync('git', ['rev-parse', '--git-path', 'info/exclude'], {
+      cwd: projectPath,
+      timeout: 10000
+    });
+    if (stdout.trim()) {
+      return path.resolve(projectPath, stdout.trim());
+    }
+  } catch (error) {
+    // Not a git repo yet
+  }
+  return path.join(projectPath, '.git', 'info', 'exclude');
+}
+
+// List .gitignore files git would read (tracked, or untracked and not inside an ignored directory)
+async function findGitignoreFiles(projectPath) {
+  try {
+    const { stdout } = await execFileAsync(
+      'git',
+      ['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', ':(glob)**/.gitignore'],
+      { cwd: projectPath, timeout: 60000, maxBuffer: 10 * 1024 * 1024 }
+    );
+    const files = [...new Set(stdout.split('\0').filter(Boolean))];
+    // Parent directories first, so deeper files take precedence like in git
+    return files.sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  } catch (error) {
+    // Not a git repo yet, fall back to the top-level .gitignore
+    return fs.existsSync(path.join(projectPath, '.gitignore')) ? ['.gitignore'] : [];
+  }
+}
+
+// Read patterns from an ignore file, an empty list if it doesn't exist
+function readPatterns(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Failed to read ${filePath}`, { error: error.message });
+    }
+    return [];
+  }
+}
+
+// Rewrite a pattern from a nested .gitignore so it matches relative to the project root.
+// Patterns with a slash are anchored to their directory, the others match at any depth below it.
+function rebasePattern(line, dir) {
+  if (!dir || !line.trim() || line.startsWith('#')) {
+    return line;
+  }
+
+  const negated = line.startsWith('!');
+  let body = negated ? line.slice(1) : line;
+  const anchored = body.replace(/\/+$/, '').includes('/');
+  if (body.startsWith('/')) {
+    body = body.slice(1);
+  }
+
+  const base = dir.replace(/[*?[\]\\!#]/g, '\\$&');
+  return `${negated ? '!' : ''}${base}/${anchored ? '' : '**/'}${body}`;
+}
+
+// Load a project's ignore rules the way git applies them: core.excludesFile, then .git/info/exclude,
+// then every .gitignore from the top down, then any extra per-project patterns. Later rules win.
+async function loadIgnoreRules(projectPath, extraPatterns = []) {
+  const excludesFile = await getExcludesFile(projectPath);
+  const infoExclude = await getInfoExcludeFile(projectPath);
+  const gitignoreFiles = await findGitignoreFiles(projectPath);
+
+  const patterns = [...readPatterns(excludesFile), ...readPatterns(infoExclude)];
+  for (const file of gitignoreFiles) {
+    const dir = path.posix.dirname(file);
+    patterns.push(...readPatterns(path.join(projectPath, file)).map(line => rebasePattern(line, dir === '.' ? '' : dir)));
+  }
+  patterns.push(...extraPatterns);
+
+  // The repository itself is never part of the working tree
+  patterns.push('.git');
+
+  return {
+    ig: ignore().add(patterns),
+    // Files outside the working tree whose changes should reload the rules
+    externalFiles: [excludesFile, infoExclude],
+    // Compared on reload to tell whether the rules actually changed
+    signature: patterns.join('\n')
+  };
+}
+
+// Check a path against a matcher, isDirectory lets directory-only patterns (e.g. "build/") apply
+function isIgnoredPath(ig, projectPath, filePath, isDirectory = false) {
+  const relative = toRelativePath(projectPath, filePath);
+  if (relative === null) return true;
+  if (relative === '') return false;
+  return ig.ignores(isDirectory ? `${relative}/` : relative);
+}
+
+module.exports = {
+  loadIgnoreRules,
+  isIgnoredPath
+};
@@ -0,0 +1,107 @@
+const { redactUrl } = require('./providers/url');
+
+// Project health states:
+// - healthy: the last commit and every remote's last push succeeded
+// - degraded: a commit or push failed with a transient error and is being retried
+// - failing: a permanent error, or a transient one that failed FAILING_AFTER times in a row
+const HEALTH_STATES = ['healthy', 'degraded', 'failing'];
+
+// Consecutive transient failures after which a project counts as failing
+const FAILING_AFTER = 3;
+
+// Retry delays double from RETRY_BASE_MS up to RETRY_MAX_MS
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+// Git output (lowercased) meaning a retry can't succeed until someone fixes the cause
+const PERMANENT_GIT_ERRORS = [
+  'authentication failed',
+  'could not read username',
+  'could not read password',
+  'invalid username or password',
+  'permission denied',
+  'repository not found',
+  'does not appear to be a git repository',
+  'not a git repository',
+  'the requested url returned error: 401',
+  'the requested url returned error: 403',
+  'the requested url returned error: 404',
+  'please tell me who you are',
+  'pre-receive hook declined',
+  'protected branch'
+];
+
+// HTTP statuses below 500 that are still worth retrying
+const TRANSIENT_HTTP_STATUSES = [408, 425, 429];
+
+// A classified failure: kind is "transient" (retried with backoff) or "permanent" (not retried)
+function createFailure(kind, message) {
+  return { kind, message, at: new Date() };
+}
+
+// Classify an error from git or a git host API. Network problems, 5xx responses, rate limits and
+// git timeouts are transient, bad credentials, missing permissions and invalid repositories are permanent.
+// Errors that aren't recognised count as transient, backoff keeps their retries cheap.
+function classifyError(error) {
+  const message = (error.message || String(error)).split('\n')[0].trim();
+
+  if (error.response) {
+    const status = error.response.status;
+    const transient = status >= 500 || TRANSIENT_HTTP_STATUSES.includes(status);
+    return createFailure(transient ? 'transient' : 'permanent', message);
+  }
+  if (error.isAxiosError) {
+    return createFailure('transient', message);
+  }
+  if (error.code === 'ENOENT') {
+    return createFailure('permanent', message);
+  }
+
+  const output = (error.message || '').toLowerCase();
+  if (PERMANENT_GIT_ERRORS.some(text => output.includes(text))) {
+    return createFailure('permanent', message);
+  }
+  return createFailure('transient', message);
+}
+
+// Delay before retry number attempt (1 for the first), with up to 10% jitter so projects don't retry in lockstep
+function getRetryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+// Describe a delay for log messages
+function formatDelay(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 120 ? `${seconds}s` : `${Math.round(seconds / 60)} minutes`;
+}
+
+// Work out a project's health from its commit state and the state of each remote
+function getProjectHealth(project) {
+  const components = [
+    { source: 'commit', ...project.commitState },
+    ...project.remotes.map(remote => ({ source: `push to ${redactUrl(remote.gitlink)}`, ...remote }))
+  ].filter(component => component.lastFailure);
+
+  if (components.length === 0) {
+    return { state: 'healthy', reason: null };
+  }
+
+  const failing = components.find(component =>
+    component.lastFailure.kind === 'permanent' || component.consecutiveFailures >= FAILING_AFTER
+  );
+  const worst = failing || components[0];
+  return {
+    state: failing ? 'failing' : 'degraded',
+    reason: `${worst.source}: ${worst.lastFailure.message}`
+  };
+}
+
+module.exports = {
+  HEALTH_STATES,
+  createFailure,
+  classifyError,
+  getRetryDelay,
+  formatDelay,
+  getProjectHealth
+};
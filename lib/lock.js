@@ -0,0 +1,30 @@
+// Serializes async operations per key: operations on the same key run one after another in the order
+// they were requested, operations on different keys run independently
+class OperationLock {
+  constructor() {
+    this.tails = new Map(); // key -> promise settling when the last queued operation is done
+  }
+
+  // Run operation once every earlier operation on key has finished, resolves or rejects with its result
+  run(key, operation) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => operation());
+
+    // The next operation waits for this one whether it succeeds or fails
+    const tail = result.then(() => {}, () => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+    return result;
+  }
+
+  // Whether an operation on key is running or waiting
+  isBusy(key) {
+    return this.tails.has(key);
+  }
+}
+
+module.exports = { OperationLock };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { redactText } = require('./providers/url');
+
+// Log levels from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Output formats:
+// - text: "[project] message" lines like a terminal expects
+// - json: one JSON object per line with time, level, msg and context fields
+const LOG_FORMATS = ['text', 'json'];
+
+const settings = {
+  level: 'info',
+  format: 'text',
+  file: null,
+  maxSize: 10 * 1024 * 1024,
+  maxFiles: 5
+};
+
+// Open log file, null when logging to stdout/stderr only
+let logFile = null; // { fd, size }
+
+// Tokens masked in every log entry, shorter values are too likely to match ordinary text
+let secrets = [];
+const MIN_SECRET_LENGTH = 8;
+
+// Open the log file for appending, remembering its size for rotation
+function openLogFile(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, 'a');
+  return { fd, size: fs.fstatSync(fd).size };
+}
+
+// Close the log file if one is open
+function closeLogFile() {
+  if (logFile) {
+    fs.closeSync(logFile.fd);
+    logFile = null;
+  }
+}
+
+// Shift file -> file.1 -> file.2 ..., dropping the oldest beyond maxFiles
+function rotateLogFile() {
+  closeLogFile();
+  for (let index = settings.maxFiles - 1; index >= 1; index--) {
+    const source = `${settings.file}.${index}`;
+    if (fs.existsSync(source)) {
+      fs.renameSync(source, `${settings.file}.${index + 1}`);
+    }
+  }
+  if (settings.maxFiles > 0) {
+    fs.renameSync(settings.file, `${settings.file}.1`);
+  } else {
+    fs.unlinkSync(settings.file);
+  }
+  logFile = openLogFile(settings.file);
+}
+
+// Append a line to the log file, file logging is turned off if it fails so the daemon keeps running
+function writeToFile(line) {
+  try {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+    if (settings.maxSize > 0 && logFile.size > 0 && logFile.size + bytes > settings.maxSize) {
+      rotateLogFile();
+    }
+    fs.writeSync(logFile.fd, data);
+    logFile.size += bytes;
+  } catch (error) {
+    const file = settings.file;
+    try {
+      closeLogFile();
+    } catch {
+      logFile = null;
+    }
+    settings.file = null;
+    process.stderr.write(`✗ Failed to write log file ${file}, logging to the console only: ${error.message}\n`);
+  }
+}
+
+// Change verbosity, format or log file, unset options keep their current value
+function configureLogger(options = {}) {
+  if (options.level !== undefined) settings.level = options.level;
+  if (options.format !== undefined) settings.format = options.format;
+  if (options.maxSize !== undefined) settings.maxSize = options.maxSize;
+  if (options.maxFiles !== undefined) settings.maxFiles = options.maxFiles;
+  if (options.secrets !== undefined) {
+    secrets = options.secrets.filter(secret => secret && secret.length >= MIN_SECRET_LENGTH);
+  }
+
+  if (options.file !== undefined) {
+    const file = options.file ? path.resolve(options.file) : null;
+    if (file !== settings.file) {
+      closeLogFile();
+      settings.file = null;
+      if (file) {
+        logFile = openLogFile(file);
+        settings.file = file;
+      }
+    }
+  }
+}
+
+// Mask tokens and URL credentials in a message or field
+function redact(text) {
+  return secrets.reduce((result, secret) => result.split(secret).join('***'), redactText(text));
+}
+
+// Render a log line in the configured format
+function formatLine(level, message, fields, time) {
+  if (settings.format === 'json') {
+    return JSON.stringify({ time: time.toISOString(), level, msg: message, ...fields });
+  }
+  const scope = fields.project || fields.component;
+  const error = fields.error ? `: ${fields.error}` : '';
+  const stack = fields.stack ? `\n${fields.stack}` : '';
+  return `${scope ? `[${scope}] ` : ''}${message}${error}${stack}`;
+}
+
+// Write one entry to the console (warnings and errors on stderr) and the log file
+function write(level, message, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+  const context = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) {
+      const text = value instanceof Error ? value.message : value;
+      context[key] = typeof text === 'string' ? redact(text) : text;
+    }
+  }
+
+  const time = new Date();
+  const line = formatLine(level, redact(message), context, time);
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+
+  if (logFile) {
+    // Text lines get a timestamp and level in the file, the console usually adds its own (docker logs, journald)
+    writeToFile(settings.format === 'json' ? line : `${time.toISOString()} ${level.toUpperCase().padEnd(5)} ${line}`);
+  }
+}
+
+// Create a logger whose entries carry the given context fields (project, gitlocation, operation, ...)
+function createLogger(context = {}) {
+  const log = (level, message, fields = {}) => write(level, message, { ...context, ...fields });
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    child: fields => createLogger({ ...context, ...fields })
+  };
+}
+
+// Logger without context, for messages that aren't about a project
+const logger = createLogger();
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  configureLogger,
+  createLogger,
+  logger
+};
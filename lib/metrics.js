@@ -0,0 +1,258 @@
+const http = require('http');
+const { parseListenAddress } = require('./config');
+const { createLogger } = require('./logger');
+const { redactUrl } = require('./providers/url');
+const { HEALTH_STATES } = require('./health');
+
+// Buckets for push duration, pushes range from a quick no-op to large initial uploads
+const PUSH_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+const log = createLogger({ component: 'Metrics' });
+const startedAt = Date.now();
+const registry = [];
+
+// Escape a label value for the Prometheus text format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Format labels as {name="value",...}, empty string when there are none
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Create a metric holding one value per label set, registered for rendering
+function createMetric(name, type, help) {
+  const series = new Map(); // JSON of labels -> { labels, value }
+  const metric = {
+    name,
+    type,
+    help,
+    series,
+
+    get(labels) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, value: 0 });
+      }
+      return series.get(key);
+    },
+
+    inc(labels = {}, amount = 1) {
+      metric.get(labels).value += amount;
+    },
+
+    set(labels, value) {
+      metric.get(labels).value = value;
+    },
+
+    // Lines of the text format for this metric's series
+    render() {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Create a histogram, series hold bucket counts, a sum and a count
+function createHistogram(name, help, buckets) {
+  const metric = createMetric(name, 'histogram', help);
+
+  metric.observe = (labels, value) => {
+    const entry = metric.get(labels);
+    if (!entry.buckets) {
+      entry.buckets = buckets.map(() => 0);
+      entry.sum = 0;
+      entry.count = 0;
+    }
+    buckets.forEach((bound, index) => {
+      if (value <= bound) entry.buckets[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  };
+
+  metric.render = () => {
+    const lines = [];
+    for (const { labels, buckets: counts, sum, count } of metric.series.values()) {
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  };
+  return metric;
+}
+
+const commitsTotal = createMetric('repopush_commits_total', 'counter', 'Auto-commits by project and result');
+const pushesTotal = createMetric('repopush_pushes_total', 'counter', 'Pushes by project, remote and result');
+const pushDuration = createHistogram('repopush_push_duration_seconds', 'Time taken to push a project to a remote', PUSH_DURATION_BUCKETS);
+const gitTimeoutsTotal = createMetric('repopush_git_timeouts_total', 'counter', 'Git commands killed after timing out, by git subcommand');
+const apiErrorsTotal = createMetric('repopush_api_errors_total', 'counter', 'Git host API errors by host and HTTP status code');
+const lastPushSuccess = createMetric('repopush_last_successful_push_timestamp_seconds', 'gauge', 'Unix time of the last successful push, by project and remote');
+const lastPushSkipped = createMetric('repopush_last_skipped_push_timestamp_seconds', 'gauge', 'Unix time of the last push skipped because nothing changed since the last successful one, by project and remote');
+const secondsSincePush = createMetric('repopush_seconds_since_last_successful_push', 'gauge', 'Seconds since the last successful push (since RepoPush started if there was none yet)');
+const projectHealth = createMetric('repopush_project_health', 'gauge', 'Project health: 0 healthy, 1 degraded (retrying), 2 failing');
+const unpushedCommits = createMetric('repopush_unpushed_commits', 'gauge', 'Commits on the current branch not yet on the remote');
+
+// Computed when rendering, so the value keeps growing while pushes fail
+secondsSincePush.render = () => [...lastPushSuccess.series.values()].map(({ labels, value }) => {
+  const since = value > 0 ? value * 1000 : startedAt;
+  return `${secondsSincePush.name}${formatLabels(labels)} ${Math.round((Date.now() - since) / 1000)}`;
+});
+
+// Record the outcome of an auto-commit
+function recordCommit(projectName, committed) {
+  commitsTotal.inc({ project: projectName, result: committed ? 'success' : 'failure' });
+}
+
+// Record the outcome and duration of a push to one remote
+function recordPush(projectName, gitlink, pushed, durationSeconds) {
+  const labels = { project: projectName, remote: redactUrl(gitlink) };
+  pushesTotal.inc({ ...labels, result: pushed ? 'success' : 'failure' });
+  pushDuration.observe(labels, durationSeconds);
+
+  const lastSuccess = lastPushSuccess.get(labels);
+  if (pushed) {
+    lastSuccess.value = Math.round(Date.now() / 1000);
+  }
+}
+
+// Record a push that was skipped because nothing changed since the last successful one. The git host
+// wasn't asked, so it doesn't count as a successful push
+function recordPushSkipped(projectName, gitlink) {
+  const labels = { project: projectName, remote: redactUrl(gitlink) };
+  pushesTotal.inc({ ...labels, result: 'skipped' });
+  lastPushSkipped.set(labels, Math.round(Date.now() / 1000));
+}
+
+// Start the last-push series of a remote when its project registers, so the seconds since the last
+// push count from RepoPush's start (or the saved last success) before any push finished
+function registerRemote(projectName, gitlink, lastSuccessAt = null) {
+  const lastSuccess = lastPushSuccess.get({ project: projectName, remote: redactUrl(gitlink) });
+  if (lastSuccess.value === 0 && lastSuccessAt) {
+    lastSuccess.value = Math.round(new Date(lastSuccessAt).getTime() / 1000);
+  }
+}
+
+// Set the number of commits a remote is missing
+function setUnpushedCommits(projectName, gitlink, count) {
+  unpushedCommits.set({ project: projectName, remote: redactUrl(gitlink) }, count);
+}
+
+// A new commit is unpushed on every remote of the project
+function addUnpushedCommit(projectName) {
+  for (const entry of unpushedCommits.series.values()) {
+    if (entry.labels.project === projectName) {
+      entry.value++;
+    }
+  }
+}
+
+// Set a project's health state (healthy, degraded or failing)
+function setProjectHealth(projectName, state) {
+  projectHealth.set({ project: projectName }, HEALTH_STATES.indexOf(state));
+}
+
+// Record a git command that was killed after timing out
+function recordGitTimeout(command) {
+  gitTimeoutsTotal.inc({ command });
+}
+
+// Record a failed git host API request, status is the HTTP status or "network" without a response
+function recordApiError(host, status) {
+  apiErrorsTotal.inc({ host, status: String(status) });
+}
+
+// Drop the series of a project that is no longer configured
+function removeProjectMetrics(projectName) {
+  for (const metric of registry) {
+    for (const [key, entry] of metric.series) {
+      if (entry.labels.project === projectName) {
+        metric.series.delete(key);
+      }
+    }
+  }
+}
+
+// Render every metric in the Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Write the metrics as an HTTP response
+function sendMetrics(res) {
+  const content = renderMetrics();
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Content-Length': Buffer.byteLength(content)
+  });
+  res.end(content);
+}
+
+// Serve /metrics for Prometheus on its own address (may listen beyond localhost, it's read-only)
+async function startMetricsServer(listen) {
+  const address = parseListenAddress(listen, { anyHost: true, allowSocket: false });
+  if (!address) {
+    throw new Error(`Invalid metrics_listen address: ${listen}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && new URL(req.url, 'http://localhost').pathname === '/metrics') {
+      sendMetrics(res);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found, metrics are served at /metrics\n');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(address.port, address.host, () => {
+      server.removeListener('error', reject);
+      resolve();
+    });
+  });
+
+  server.on('error', error => {
+    log.error('Server error', { error: error.message });
+  });
+  log.info(`Serving Prometheus metrics on http://${address.host.includes(':') ? `[${address.host}]` : address.host}:${address.port}/metrics`);
+  return server;
+}
+
+// Stop the metrics server
+function stopMetricsServer(server) {
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+module.exports = {
+  recordCommit,
+  recordPush,
+  recordPushSkipped,
+  registerRemote,
+  setUnpushedCommits,
+  addUnpushedCommit,
+  setProjectHealth,
+  recordGitTimeout,
+  recordApiError,
+  removeProjectMetrics,
+  sendMetrics,
+  startMetricsServer,
+  stopMetricsServer
+};
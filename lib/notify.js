@@ -0,0 +1,288 @@
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { createLogger } = require('./logger');
+const { redactUrl } = require('./providers/url');
+
+// Most notifications sent in an hour across all alerts, so a flapping setup can't flood the sinks
+const MAX_NOTIFICATIONS_PER_HOUR = 20;
+
+const log = createLogger({ component: 'Notify' });
+
+const settings = {
+  webhook: null,
+  slackWebhook: null,
+  emailTo: [],
+  emailFrom: null,
+  failureThreshold: 3,
+  intervalMs: 60 * 60 * 1000
+};
+
+// Mail transport, null when email isn't configured
+let transport = null;
+
+// Alerts that were notified and not resolved yet: key -> { gitlocation, lastSentAt, suppressed }
+const openAlerts = new Map();
+
+// When recent notifications were sent, for the hourly limit
+let sentTimes = [];
+
+// Apply the notification settings of a config
+function configureNotifications(config) {
+  settings.webhook = config.notifyWebhook;
+  settings.slackWebhook = config.notifySlackWebhook;
+  settings.emailTo = config.notifySmtpHost ? config.notifyEmailTo : [];
+  settings.emailFrom = config.notifyEmailFrom || config.notifySmtpUser;
+  settings.failureThreshold = config.notifyFailureThreshold;
+  settings.intervalMs = config.notifyIntervalMinutes * 60 * 1000;
+
+  if (transport) {
+    transport.close();
+    transport = null;
+  }
+  if (settings.emailTo.length > 0) {
+    transport = nodemailer.createTransport({
+      host: config.notifySmtpHost,
+      port: config.notifySmtpPort,
+      secure: config.notifySmtpSecure,
+      auth: config.notifySmtpUser ? { user: config.notifySmtpUser, pass: config.notifySmtpPassword } : undefined
+    });
+  }
+}
+
+// Names of the configured sinks
+function describeNotifications() {
+  const sinks = [];
+  if (settings.webhook) sinks.push('webhook');
+  if (settings.slackWebhook) sinks.push('slack');
+  if (settings.emailTo.length > 0) sinks.push(`email to ${settings.emailTo.join(', ')}`);
+  return sinks;
+}
+
+// Marker for the notification text, matching the log output
+function marker(severity) {
+  if (severity === 'resolved') return '✓';
+  return severity === 'warning' ? '⚠' : '✗';
+}
+
+// Slack incoming webhooks take { text }, Discord webhooks take { content } (unless they end in /slack)
+function chatPayload(url, text) {
+  const isDiscord = /^https?:\/\/([^/]+\.)?discord(app)?\.com\//.test(url) && !/\/slack\/?$/.test(url);
+  return isDiscord ? { content: text } : { text };
+}
+
+// Send a notification to every configured sink, failures are logged and never thrown
+async function deliver(notification) {
+  const text = `${marker(notification.severity)} ${notification.title}\n${notification.message}`;
+  const deliveries = [];
+
+  if (settings.webhook) {
+    deliveries.push(['webhook', axios.post(settings.webhook, notification, { timeout: 10000 })]);
+  }
+  if (settings.slackWebhook) {
+    deliveries.push(['slack', axios.post(settings.slackWebhook, chatPayload(settings.slackWebhook, text), { timeout: 10000 })]);
+  }
+  if (transport) {
+    deliveries.push(['email', transport.sendMail({
+      from: settings.emailFrom,
+      to: settings.emailTo.join(', '),
+      subject: `[RepoPush] ${notification.title}`,
+      text: `${notification.message}\n\n${JSON.stringify(notification, null, 2)}\n`
+    })]);
+  }
+
+  const results = await Promise.allSettled(deliveries.map(([, delivery]) => delivery));
+  results.forEach((result, index) => {
+    const sink = deliveries[index][0];
+    if (result.status === 'fulfilled') {
+      log.debug(`Sent ${sink} notification: ${notification.title}`, { project: notification.project });
+    } else {
+      log.warn(`Failed to send ${sink} notification: ${notification.title}`, { error: result.reason.message });
+    }
+  });
+}
+
+// Count a notification against the hourly limit, false when the limit is reached
+function takeRateLimit(now) {
+  sentTimes = sentTimes.filter(time => now - time < 60 * 60 * 1000);
+  if (sentTimes.length >= MAX_NOTIFICATIONS_PER_HOUR) {
+    return false;
+  }
+  sentTimes.push(now);
+  return true;
+}
+
+// Notify about a problem, repeats of the same alert are held back for the configured interval
+function raiseAlert(key, notification) {
+  if (describeNotifications().length === 0) return;
+
+  const now = Date.now();
+  const alert = openAlerts.get(key);
+  if (alert && now - alert.lastSentAt < settings.intervalMs) {
+    alert.suppressed++;
+    return;
+  }
+  if (!takeRateLimit(now)) {
+    log.warn(`Notification limit of ${MAX_NOTIFICATIONS_PER_HOUR} per hour reached, dropping: ${notification.title}`);
+    if (alert) alert.suppressed++;
+    return;
+  }
+
+  const repeats = alert ? alert.suppressed : 0;
+  openAlerts.set(key, { gitlocation: notification.gitlocation, lastSentAt: now, suppressed: 0 });
+  deliver({
+    ...notification,
+    message: repeats > 0 ? `${notification.message} (${repeats} more time(s) since the last notification)` : notification.message,
+    repeats,
+    time: new Date(now).toISOString()
+  });
+}
+
+// Notify that a problem is over, only when it was notified in the first place
+function resolveAlert(key, notification) {
+  if (!openAlerts.has(key)) return;
+  openAlerts.delete(key);
+  if (describeNotifications().length === 0) return;
+
+  const now = Date.now();
+  if (!takeRateLimit(now)) {
+    log.warn(`Notification limit of ${MAX_NOTIFICATIONS_PER_HOUR} per hour reached, dropping: ${notification.title}`);
+    return;
+  }
+  deliver({ ...notification, severity: 'resolved', time: new Date(now).toISOString() });
+}
+
+// A remote failed to push, notifies once the failures reach the threshold (right away for permanent errors)
+function notifyPushFailure(projectPath, gitlink, failures, failure) {
+  const permanent = failure.kind === 'permanent';
+  if (failures < settings.failureThreshold && !permanent) return;
+
+  const project = path.basename(projectPath);
+  const remote = redactUrl(gitlink);
+  const cause = permanent ? `It won't work until this is fixed: ${failure.message}` : `Last error: ${failure.message}`;
+  raiseAlert(`push:${projectPath}:${gitlink}`, {
+    event: 'push_failed',
+    severity: 'error',
+    project,
+    gitlocation: projectPath,
+    remote,
+    failures,
+    errorKind: failure.kind,
+    error: failure.message,
+    title: `${project}: push to ${remote} is failing`,
+    message: `Push to ${remote} failed ${failures} time(s) in a row. Changes are still committed locally but aren't backed up. ${cause}`
+  });
+}
+
+// A remote pushed again after failing
+function notifyPushRecovered(projectPath, gitlink, failures) {
+  const project = path.basename(projectPath);
+  const remote = redactUrl(gitlink);
+  resolveAlert(`push:${projectPath}:${gitlink}`, {
+    event: 'push_recovered',
+    project,
+    gitlocation: projectPath,
+    remote,
+    failures,
+    title: `${project}: push to ${remote} recovered`,
+    message: `Pushed to ${remote} after ${failures} failed attempt(s).`
+  });
+}
+
+// A missing repository can't be created because the token lacks permission
+function notifyRepoPermission(host, owner, repo, hint, webUrl) {
+  raiseAlert(`repo:${host}/${owner}/${repo}`, {
+    event: 'repo_create_denied',
+    severity: 'warning',
+    host,
+    repository: `${owner}/${repo}`,
+    title: `Cannot create ${owner}/${repo} on ${host}`,
+    message: `The repository doesn't exist and the token lacks permission to create it. ${hint}, or create it manually at ${webUrl}.`
+  });
+}
+
+// A repository exists (again), clears a permission alert
+function notifyRepoAvailable(host, owner, repo) {
+  resolveAlert(`repo:${host}/${owner}/${repo}`, {
+    event: 'repo_available',
+    host,
+    repository: `${owner}/${repo}`,
+    title: `${owner}/${repo} is available on ${host}`,
+    message: 'The repository exists now, pushes to it can go ahead.'
+  });
+}
+
+// A project's file watcher failed, changes may go unnoticed
+function notifyWatcherError(projectPath, error) {
+  const project = path.basename(projectPath);
+  raiseAlert(`watcher:${projectPath}`, {
+    event: 'watcher_error',
+    severity: 'error',
+    project,
+    gitlocation: projectPath,
+    error: error.message,
+    title: `${project}: file watcher error`,
+    message: `Watching ${projectPath} failed: ${error.message}. Changes may not be committed until the watcher recovers.`
+  });
+}
+
+// A project's file watcher is running again after an error
+function notifyWatcherRecovered(projectPath) {
+  const project = path.basename(projectPath);
+  resolveAlert(`watcher:${projectPath}`, {
+    event: 'watcher_recovered',
+    project,
+    gitlocation: projectPath,
+    title: `${project}: file watcher recovered`,
+    message: `Watching ${projectPath} for changes again.`
+  });
+}
+
+// Files were kept out of a commit because they look like secrets
+function notifySecretsQuarantined(projectPath, files) {
+  const project = path.basename(projectPath);
+  raiseAlert(`secrets:${projectPath}`, {
+    event: 'secrets_quarantined',
+    severity: 'warning',
+    project,
+    gitlocation: projectPath,
+    files,
+    title: `${project}: files kept out of commits`,
+    message: `These files look like they contain secrets and were not committed: ${files.join(', ')}. Remove the secret, ignore the file or add it to secret_allow.`
+  });
+}
+
+// No files are quarantined anymore
+function notifySecretsCleared(projectPath) {
+  const project = path.basename(projectPath);
+  resolveAlert(`secrets:${projectPath}`, {
+    event: 'secrets_cleared',
+    project,
+    gitlocation: projectPath,
+    title: `${project}: no files kept out of commits anymore`,
+    message: 'Every file that looked like a secret was removed, ignored or allowed.'
+  });
+}
+
+// Drop open alerts of a project that is no longer configured
+function forgetProject(projectPath) {
+  for (const [key, alert] of openAlerts) {
+    if (alert.gitlocation === projectPath) {
+      openAlerts.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  configureNotifications,
+  describeNotifications,
+  notifyPushFailure,
+  notifyPushRecovered,
+  notifyRepoPermission,
+  notifyRepoAvailable,
+  notifyWatcherError,
+  notifyWatcherRecovered,
+  notifySecretsQuarantined,
+  notifySecretsCleared,
+  forgetProject
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// File name of the daemon's pid file, kept in the directory of the state file
+const PID_FILE_NAME = 'repopush.pid';
+
+// Process id stored in a pid file if that process is still running, null otherwise
+function readRunningPid(pidPath) {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(pidPath, 'utf8'), 10);
+  } catch {
+    return null;
+  }
+  if (!(pid > 0) || pid === process.pid) return null;
+
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM' ? pid : null;
+  }
+}
+
+// Record this process as the running daemon, removed again when it exits
+function writePidFile(pidPath) {
+  fs.mkdirSync(path.dirname(pidPath), { recursive: true });
+  fs.writeFileSync(pidPath, `${process.pid}\n`);
+  process.on('exit', () => removePidFile(pidPath));
+}
+
+// Remove the pid file if it still belongs to this process
+function removePidFile(pidPath) {
+  try {
+    if (parseInt(fs.readFileSync(pidPath, 'utf8'), 10) === process.pid) {
+      fs.unlinkSync(pidPath);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+module.exports = {
+  PID_FILE_NAME,
+  readRunningPid,
+  writePidFile
+};
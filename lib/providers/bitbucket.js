@@ -0,0 +1,75 @@
+const axios = require('axios');
+const { parseRemoteUrl, splitRepoPath, buildRepoUrl } = require('./url');
+
+// Bitbucket Cloud, using either an access token or a username + app password
+function createBitbucketProvider({ host, protocol, apiUrl, token, username }) {
+  const baseUrl = apiUrl || 'https://api.bitbucket.org/2.0';
+  const headers = {
+    'Authorization': username
+      ? `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`
+      : `Bearer ${token}`,
+    'Accept': 'application/json'
+  };
+
+  return {
+    type: 'bitbucket',
+    host,
+    token,
+    createPermissionHint: "Use a token or app password with 'Repositories: Admin' permission",
+
+    parseUrl(gitlink) {
+      const remote = parseRemoteUrl(gitlink);
+      return remote ? splitRepoPath(remote.path) : null;
+    },
+
+    async fetchUserInfo() {
+      const response = await axios.get(`${baseUrl}/user`, { headers });
+      const user = response.data;
+      const login = user.username || user.nickname;
+
+      // Email addresses are only available through a separate endpoint
+      let email = null;
+      try {
+        const emails = await axios.get(`${baseUrl}/user/emails`, { headers });
+        const primary = (emails.data.values || []).find(entry => entry.is_primary);
+        email = primary ? primary.email : null;
+      } catch {
+        // Token may lack the email scope
+      }
+
+      return {
+        name: user.display_name || login,
+        email: email || `${login}@users.noreply.${host}`,
+        login
+      };
+    },
+
+    async getRepo(owner, repo) {
+      const response = await axios.get(`${baseUrl}/repositories/${owner}/${repo}`, { headers });
+      return response.data;
+    },
+
+    async createRepo(owner, repo) {
+      // Repositories always live in a workspace, personal or shared
+      await axios.post(`${baseUrl}/repositories/${owner}/${repo}`, {
+        scm: 'git',
+        is_private: true,
+        description: 'Auto-synced repository managed by RepoPush'
+      }, { headers });
+    },
+
+    getRemoteUrl(owner, repo) {
+      return buildRepoUrl(protocol, host, owner, repo);
+    },
+
+    getCredentials() {
+      return { username: username || 'x-token-auth', password: token };
+    },
+
+    getWebUrl(owner, repo) {
+      return `${protocol}://${host}/${owner}/${repo}`;
+    }
+  };
+}
+
+module.exports = { createBitbucketProvider };
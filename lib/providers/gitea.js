@@ -0,0 +1,63 @@
+const axios = require('axios');
+const { parseRemoteUrl, splitRepoPath, buildRepoUrl } = require('./url');
+
+// Gitea and Forgejo (self-hosted or Codeberg)
+function createGiteaProvider({ host, protocol, apiUrl, token }) {
+  const baseUrl = apiUrl || `${protocol}://${host}/api/v1`;
+  const headers = {
+    'Authorization': `token ${token}`,
+    'Accept': 'application/json'
+  };
+
+  return {
+    type: 'gitea',
+    host,
+    token,
+    createPermissionHint: "Use a token with 'write:repository' (and 'write:organization' for org repos) scope",
+
+    parseUrl(gitlink) {
+      const remote = parseRemoteUrl(gitlink);
+      return remote ? splitRepoPath(remote.path) : null;
+    },
+
+    async fetchUserInfo() {
+      const response = await axios.get(`${baseUrl}/user`, { headers });
+      const user = response.data;
+      return {
+        name: user.full_name || user.login,
+        email: user.email || `${user.login}@noreply.${host}`,
+        login: user.login
+      };
+    },
+
+    async getRepo(owner, repo) {
+      const response = await axios.get(`${baseUrl}/repos/${owner}/${repo}`, { headers });
+      return response.data;
+    },
+
+    async createRepo(owner, repo, login) {
+      const endpoint = owner === login ? `${baseUrl}/user/repos` : `${baseUrl}/orgs/${owner}/repos`;
+      await axios.post(endpoint, {
+        name: repo,
+        private: true,
+        auto_init: false,
+        description: 'Auto-synced repository managed by RepoPush'
+      }, { headers });
+    },
+
+    getRemoteUrl(owner, repo) {
+      return buildRepoUrl(protocol, host, owner, repo);
+    },
+
+    getCredentials() {
+      // Gitea accepts an access token in place of the username
+      return { username: token, password: 'x-oauth-basic' };
+    },
+
+    getWebUrl(owner, repo) {
+      return `${protocol}://${host}/${owner}/${repo}`;
+    }
+  };
+}
+
+module.exports = { createGiteaProvider };
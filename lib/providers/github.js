@@ -0,0 +1,63 @@
+const axios = require('axios');
+const { parseRemoteUrl, splitRepoPath, buildRepoUrl } = require('./url');
+
+// GitHub and GitHub Enterprise Server
+function createGitHubProvider({ host, protocol, apiUrl, token }) {
+  const baseUrl = apiUrl || (host === 'github.com' ? 'https://api.github.com' : `${protocol}://${host}/api/v3`);
+  const headers = {
+    'Authorization': `token ${token}`,
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  return {
+    type: 'github',
+    host,
+    token,
+    createPermissionHint: "Add 'Administration: Read and write' permission to your token",
+
+    parseUrl(gitlink) {
+      const remote = parseRemoteUrl(gitlink);
+      return remote ? splitRepoPath(remote.path) : null;
+    },
+
+    async fetchUserInfo() {
+      const response = await axios.get(`${baseUrl}/user`, { headers });
+      // GitHub Enterprise Server has a noreply domain of its own, users.noreply.<host>
+      return {
+        name: response.data.name || response.data.login,
+        email: response.data.email || `${response.data.id}+${response.data.login}@users.noreply.${host}`,
+        login: response.data.login
+      };
+    },
+
+    async getRepo(owner, repo) {
+      const response = await axios.get(`${baseUrl}/repos/${owner}/${repo}`, { headers });
+      return response.data;
+    },
+
+    async createRepo(owner, repo, login) {
+      // Check if we're creating in user's account or an org
+      const endpoint = owner === login ? `${baseUrl}/user/repos` : `${baseUrl}/orgs/${owner}/repos`;
+      await axios.post(endpoint, {
+        name: repo,
+        private: true,
+        auto_init: false,
+        description: 'Auto-synced repository managed by RepoPush'
+      }, { headers });
+    },
+
+    getRemoteUrl(owner, repo) {
+      return buildRepoUrl(protocol, host, owner, repo);
+    },
+
+    getCredentials() {
+      return { username: 'x-access-token', password: token };
+    },
+
+    getWebUrl(owner, repo) {
+      return `${protocol}://${host}/${owner}/${repo}`;
+    }
+  };
+}
+
+module.exports = { createGitHubProvider };
@@ -0,0 +1,66 @@
+const axios = require('axios');
+const { parseRemoteUrl, splitRepoPath, buildRepoUrl } = require('./url');
+
+// GitLab.com and self-managed GitLab (owner may be a nested group path)
+function createGitLabProvider({ host, protocol, apiUrl, token }) {
+  const baseUrl = apiUrl || `${protocol}://${host}/api/v4`;
+  const headers = { 'PRIVATE-TOKEN': token };
+
+  return {
+    type: 'gitlab',
+    host,
+    token,
+    createPermissionHint: "Use a token with the 'api' scope and permission to create projects in this namespace",
+
+    parseUrl(gitlink) {
+      const remote = parseRemoteUrl(gitlink);
+      return remote ? splitRepoPath(remote.path, true) : null;
+    },
+
+    async fetchUserInfo() {
+      const response = await axios.get(`${baseUrl}/user`, { headers });
+      const user = response.data;
+      return {
+        name: user.name || user.username,
+        email: user.public_email || user.email || `${user.id}-${user.username}@users.noreply.${host}`,
+        login: user.username
+      };
+    },
+
+    async getRepo(owner, repo) {
+      const response = await axios.get(`${baseUrl}/projects/${encodeURIComponent(`${owner}/${repo}`)}`, { headers });
+      return response.data;
+    },
+
+    async createRepo(owner, repo, login) {
+      const body = {
+        name: repo,
+        path: repo,
+        visibility: 'private',
+        description: 'Auto-synced repository managed by RepoPush'
+      };
+
+      // Projects outside the user's own namespace need the group's namespace id
+      if (owner !== login) {
+        const namespace = await axios.get(`${baseUrl}/namespaces/${encodeURIComponent(owner)}`, { headers });
+        body.namespace_id = namespace.data.id;
+      }
+
+      await axios.post(`${baseUrl}/projects`, body, { headers });
+    },
+
+    getRemoteUrl(owner, repo) {
+      return buildRepoUrl(protocol, host, owner, repo);
+    },
+
+    getCredentials() {
+      return { username: 'oauth2', password: token };
+    },
+
+    getWebUrl(owner, repo) {
+      return `${protocol}://${host}/${owner}/${repo}`;
+    }
+  };
+}
+
+module.exports = { createGitLabProvider };
@@ -0,0 +1,76 @@
+const { createGitHubProvider } = require('./github');
+const { createGitLabProvider } = require('./gitlab');
+const { createGiteaProvider } = require('./gitea');
+const { createBitbucketProvider } = require('./bitbucket');
+const { isLocalRemote, createLocalProvider } = require('./local');
+const { parseRemoteUrl } = require('./url');
+
+// Provider factories by type (Forgejo speaks the Gitea API)
+const PROVIDER_FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea: createGiteaProvider,
+  forgejo: createGiteaProvider,
+  bitbucket: createBitbucketProvider
+};
+
+const PROVIDER_TYPES = Object.keys(PROVIDER_FACTORIES);
+
+// Well-known public hosts that don't need a git_host entry
+const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'codeberg.org': 'forgejo',
+  'bitbucket.org': 'bitbucket'
+};
+
+// Creates provider instances per host from the configured git hosts and default token
+function createProviderRegistry({ token, gitHosts = [] }) {
+  const hostConfigs = new Map();
+  for (const hostConfig of gitHosts) {
+    hostConfigs.set(hostConfig.host.toLowerCase(), hostConfig);
+  }
+
+  const providers = new Map(); // host -> provider instance
+
+  // Get (or create) the provider responsible for a gitlink, or null if the host is unsupported
+  function get(gitlink) {
+    if (isLocalRemote(gitlink)) {
+      if (!providers.has('local')) {
+        providers.set('local', createLocalProvider());
+      }
+      return providers.get('local');
+    }
+
+    const remote = parseRemoteUrl(gitlink);
+    if (!remote) return null;
+
+    const hostKey = remote.port ? `${remote.host}:${remote.port}` : remote.host;
+    if (providers.has(hostKey)) {
+      return providers.get(hostKey);
+    }
+
+    const hostConfig = hostConfigs.get(hostKey) || hostConfigs.get(remote.host) || {};
+    const type = hostConfig.type || KNOWN_HOSTS[remote.host];
+    const factory = PROVIDER_FACTORIES[type];
+    if (!factory) return null;
+
+    const provider = factory({
+      host: hostKey,
+      protocol: remote.protocol,
+      apiUrl: hostConfig.apiUrl ? hostConfig.apiUrl.replace(/\/+$/, '') : null,
+      token: hostConfig.token || token,
+      username: hostConfig.username || null
+    });
+    providers.set(hostKey, provider);
+    return provider;
+  }
+
+  return { get };
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  parseRemoteUrl,
+  createProviderRegistry
+};
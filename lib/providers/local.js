@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Check if a gitlink points at a local path (e.g. a bare repository on a NAS mount)
+function isLocalRemote(gitlink) {
+  const trimmed = gitlink.trim();
+  return trimmed.startsWith('/') || trimmed.startsWith('file://');
+}
+
+// Convert a local gitlink to a filesystem path
+function toLocalPath(gitlink) {
+  const trimmed = gitlink.trim();
+  return trimmed.startsWith('file://') ? decodeURIComponent(trimmed.slice('file://'.length)) : trimmed;
+}
+
+// Bare repositories on the local filesystem, no API or token involved
+function createLocalProvider() {
+  return {
+    type: 'local',
+    host: 'local filesystem',
+    token: null,
+    requiresToken: false,
+    createPermissionHint: 'Check that the parent directory exists and is writable',
+
+    parseUrl(gitlink) {
+      if (!isLocalRemote(gitlink)) return null;
+      const repoPath = toLocalPath(gitlink).replace(/\/+$/, '');
+      return { owner: path.dirname(repoPath), repo: path.basename(repoPath) };
+    },
+
+    async fetchUserInfo() {
+      const login = os.userInfo().username;
+      return { name: login, email: `${login}@${os.hostname()}`, login };
+    },
+
+    // Throws ENOENT when the repository doesn't exist yet
+    async getRepo(owner, repo) {
+      await fs.promises.access(path.join(owner, repo));
+      return { path: path.join(owner, repo) };
+    },
+
+    async createRepo(owner, repo) {
+      const repoPath = path.join(owner, repo);
+      await fs.promises.mkdir(repoPath, { recursive: true });
+      await execFileAsync('git', ['init', '--bare', repoPath], { timeout: 30000 });
+    },
+
+    getRemoteUrl(owner, repo) {
+      return path.join(owner, repo);
+    },
+
+    // Local repositories need no credentials
+    getCredentials() {
+      return null;
+    },
+
+    getWebUrl(owner, repo) {
+      return path.join(owner, repo);
+    }
+  };
+}
+
+module.exports = {
+  isLocalRemote,
+  createLocalProvider
+};
@@ -0,0 +1,119 @@
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'Queue', operation: 'push' });
+
+// Logger for messages about one project
+function projectLog(projectPath) {
+  return log.child({ project: path.basename(projectPath), gitlocation: projectPath });
+}
+
+// Runs project pushes with a limit on how many run at once. Each project has at most one push
+// waiting: triggers that arrive while one waits join it, triggers that arrive while the project
+// is pushing queue one follow-up push (the running one may have started before the new commits).
+// A push that runs past the deadline is cancelled through its AbortSignal and gives up its slot.
+class PushQueue {
+  // push(projectPath, remoteNames, signal) does the work, remoteNames is null for every remote
+  constructor(push, options = {}) {
+    this.push = push;
+    this.concurrency = options.concurrency || 4;
+    this.deadlineMs = options.deadlineMs || 600000;
+    this.waiting = []; // [{ projectPath, remoteNames, promise, resolve }]
+    this.running = new Map(); // projectPath -> AbortController of its push
+    this.active = 0; // running pushes holding a slot, pushes past their deadline don't
+  }
+
+  // Change the limits, a lower concurrency lets running pushes finish
+  configure({ concurrency, deadlineMs }) {
+    if (concurrency !== undefined) this.concurrency = concurrency;
+    if (deadlineMs !== undefined) this.deadlineMs = deadlineMs;
+    this.next();
+  }
+
+  // Queue a push of some remotes of a project (all when remoteNames is null).
+  // Resolves with the result of the push that covers this request.
+  enqueue(projectPath, remoteNames = null) {
+    const queued = this.waiting.find(job => job.projectPath === projectPath);
+    if (queued) {
+      queued.remoteNames = queued.remoteNames && remoteNames
+        ? [...new Set([...queued.remoteNames, ...remoteNames])]
+        : null;
+      return queued.promise;
+    }
+
+    const job = { projectPath, remoteNames };
+    job.promise = new Promise(resolve => {
+      job.resolve = resolve;
+    });
+    this.waiting.push(job);
+    if (this.active >= this.concurrency || this.running.has(projectPath)) {
+      projectLog(projectPath).debug(`Push queued behind ${this.active} running push(es)`, { queued: this.waiting.length });
+    }
+    this.next();
+    return job.promise;
+  }
+
+  // Start waiting pushes while slots are free, skipping projects that are still pushing
+  next() {
+    while (this.active < this.concurrency) {
+      const index = this.waiting.findIndex(job => !this.running.has(job.projectPath));
+      if (index === -1) return;
+      const [job] = this.waiting.splice(index, 1);
+      this.run(job);
+    }
+  }
+
+  // Run one push with a deadline, the project stays blocked until the push has really stopped
+  async run(job) {
+    const { projectPath } = job;
+    const controller = new AbortController();
+    let holdsSlot = true;
+    this.running.set(projectPath, controller);
+    this.active++;
+
+    const releaseSlot = () => {
+      if (!holdsSlot) return;
+      holdsSlot = false;
+      this.active--;
+      this.next();
+    };
+
+    const deadline = setTimeout(() => {
+      const seconds = Math.round(this.deadlineMs / 1000);
+      projectLog(projectPath).warn(`⚠ Push exceeded the ${seconds}s deadline, cancelling it`);
+      controller.abort(new Error(`Push cancelled after exceeding the ${seconds}s deadline`));
+      job.resolve(false);
+      releaseSlot();
+    }, this.deadlineMs);
+
+    let result = false;
+    try {
+      result = await this.push(projectPath, job.remoteNames, controller.signal);
+    } catch (error) {
+      projectLog(projectPath).error('Push failed', { error: error.message });
+    }
+
+    clearTimeout(deadline);
+    job.resolve(result);
+    this.running.delete(projectPath);
+    releaseSlot();
+    this.next();
+  }
+
+  // Drop waiting pushes of a project (every project when projectPath is null) and cancel running ones
+  cancel(projectPath = null, reason = 'Push cancelled') {
+    const matches = job => projectPath === null || job.projectPath === projectPath;
+    for (const job of this.waiting.filter(matches)) {
+      job.resolve(false);
+    }
+    this.waiting = this.waiting.filter(job => !matches(job));
+
+    for (const [runningPath, controller] of this.running) {
+      if (projectPath === null || runningPath === projectPath) {
+        controller.abort(new Error(reason));
+      }
+    }
+  }
+}
+
+module.exports = { PushQueue };
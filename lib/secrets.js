@@ -0,0 +1,117 @@
+const ignore = require('ignore');
+
+// Token formats of well-known services and private keys, checked against every added line
+const SECRET_PATTERNS = [
+  { reason: 'private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+  { reason: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { reason: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})/ },
+  { reason: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/ },
+  { reason: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { reason: 'Slack webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9]+\/[A-Za-z0-9]+\/[A-Za-z0-9]+/ },
+  { reason: 'Stripe key', pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}/ },
+  { reason: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/ },
+  { reason: 'npm token', pattern: /\bnpm_[A-Za-z0-9]{36}/ },
+  { reason: 'API key', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{32,}/ }
+];
+
+// A value assigned to a secret-looking name (API_TOKEN=..., "password": "...", ...). Such values are
+// only reported when they look random, so placeholders and references like process.env.TOKEN pass.
+const SECRET_ASSIGNMENT = /(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)["']?\s*[:=]\s*["']?([A-Za-z0-9+/=_.~-]{16,})/i;
+
+// Bits per character above which an assigned value counts as random (hex tops out at 4, base64 at 6)
+const ENTROPY_THRESHOLD = 3.5;
+
+// Files that hold credentials by convention, in .gitignore syntax
+const SECRET_FILES = [
+  { reason: '.env file', patterns: ['.env', '.env.*', '!.env.example', '!.env.sample', '!.env.template', '!.env.dist'] },
+  { reason: 'SSH private key', patterns: ['id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519'] },
+  { reason: 'key store', patterns: ['*.p12', '*.pfx', '*.jks', '*.keystore'] },
+  { reason: 'credentials file', patterns: ['.netrc', '.pgpass', '.git-credentials'] }
+].map(rule => ({ reason: rule.reason, matcher: ignore().add(rule.patterns) }));
+
+// Lines containing this marker are never reported, for false positives in files that are otherwise scanned
+const ALLOW_MARKER = 'repopush:allow-secret';
+
+// Shannon entropy of a string in bits per character
+function getEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const share = count / value.length;
+    entropy -= share * Math.log2(share);
+  }
+  return entropy;
+}
+
+// Why a file name suggests credentials, null when it doesn't
+function scanFileName(filePath) {
+  const rule = SECRET_FILES.find(candidate => candidate.matcher.ignores(filePath));
+  return rule ? rule.reason : null;
+}
+
+// Why a line looks like it contains a credential, null when it doesn't
+function scanLine(line) {
+  if (line.includes(ALLOW_MARKER)) return null;
+
+  const rule = SECRET_PATTERNS.find(candidate => candidate.pattern.test(line));
+  if (rule) return rule.reason;
+
+  const assignment = line.match(SECRET_ASSIGNMENT);
+  if (assignment) {
+    const value = assignment[1];
+    if (/\d/.test(value) && /[A-Za-z]/.test(value) && getEntropy(value) >= ENTROPY_THRESHOLD) {
+      return 'high-entropy secret';
+    }
+  }
+  return null;
+}
+
+// Read a path from a diff header, unquoting paths git wrote as C strings
+function parseDiffPath(text) {
+  if (!text.startsWith('"')) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.slice(1, -1);
+  }
+}
+
+// Scan the added lines of a unified diff (made with --dst-prefix=b/), returns the first
+// finding per file: Map of path -> { reason, line }
+function scanDiff(diff) {
+  const findings = new Map();
+  let filePath = null;
+  let lineNumber = 0;
+  let inHunk = false;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      filePath = null;
+      inHunk = false;
+    } else if (!inHunk && line.startsWith('+++ ')) {
+      const target = parseDiffPath(line.slice(4));
+      filePath = target.startsWith('b/') ? target.slice(2) : null;
+    } else if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+      lineNumber = match ? parseInt(match[1], 10) : 0;
+      inHunk = true;
+    } else if (inHunk && line.startsWith('+')) {
+      if (filePath && !findings.has(filePath)) {
+        const reason = scanLine(line.slice(1));
+        if (reason) {
+          findings.set(filePath, { reason, line: lineNumber });
+        }
+      }
+      lineNumber++;
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  scanFileName,
+  scanDiff
+};
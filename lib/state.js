@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// File name of the state file, kept next to the config file unless state_file says otherwise
+const STATE_FILE_NAME = 'repopush-state.json';
+
+// Layout version of the state file, a file with another version is started over
+const STATE_VERSION = 1;
+
+// Errors kept per remote (and for commits), oldest are dropped first
+const MAX_ERROR_HISTORY = 20;
+
+// How long changes are collected before the file is written
+const SAVE_DELAY_MS = 1000;
+
+const log = createLogger({ component: 'State' });
+
+// Persists what RepoPush knows about each project across restarts: per remote the last pushed sha,
+// what the last successful push left on the remote (branch shas and a tags fingerprint), when pushes last
+// succeeded, failed and were skipped, the failure streak and recent errors, and the commit failure streak. Layout: { version, projects: { <path>: { commit, remotes: { <gitlink>: record } } } }.
+// Without a file path it only keeps state in memory.
+class StateStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.projects = {};
+    this.saveTimeout = null;
+  }
+
+  // Read the state file, a missing file starts empty and an unreadable one is started over
+  load() {
+    if (!this.filePath) return;
+
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn(`⚠ Failed to read ${this.filePath}, starting without saved state`, { error: error.message });
+      }
+      return;
+    }
+
+    try {
+      const data = JSON.parse(content);
+      if (data.version !== STATE_VERSION || !data.projects || typeof data.projects !== 'object') {
+        throw new Error(`unsupported layout (version ${data.version})`);
+      }
+      this.projects = data.projects;
+    } catch (error) {
+      log.warn(`⚠ Ignoring invalid state file ${this.filePath}, it is rewritten with the next push`, { error: error.message });
+    }
+  }
+
+  // Saved state of a project, null when nothing is saved (unless create is set)
+  getProject(projectPath, create = false) {
+    if (!this.projects[projectPath] && create) {
+      this.projects[projectPath] = { commit: createFailureRecord(), remotes: {} };
+    }
+    return this.projects[projectPath] || null;
+  }
+
+  // Saved state of one remote of a project, null when it was never pushed
+  getRemote(projectPath, gitlink) {
+    const project = this.getProject(projectPath);
+    return (project && project.remotes[gitlink]) || null;
+  }
+
+  // Saved commit failures of a project, null when nothing is saved
+  getCommit(projectPath) {
+    const project = this.getProject(projectPath);
+    return project ? project.commit : null;
+  }
+
+  // Record the result of a push, pushed is what the remote has now: { sha, refs, tags } as pushToGitHub
+  // reports it, refs is missing when nothing had to be pushed (null when the push failed)
+  recordPush(projectPath, gitlink, pushed, failure) {
+    const project = this.getProject(projectPath, true);
+    const record = project.remotes[gitlink] || (project.remotes[gitlink] = createRemoteRecord());
+    const now = new Date().toISOString();
+
+    record.lastPushAt = now;
+    if (failure) {
+      recordFailure(record, failure);
+    } else {
+      record.lastPushedSha = pushed.sha || record.lastPushedSha;
+      if (pushed.refs) {
+        record.pushedRefs = pushed.refs;
+        record.tagsSignature = pushed.tags;
+      }
+      record.lastSuccessAt = now;
+      record.consecutiveFailures = 0;
+      record.lastFailure = null;
+    }
+    this.scheduleSave();
+  }
+
+  // Record a push that was skipped because nothing changed since the last one, which stays the last push
+  recordPushSkipped(projectPath, gitlink) {
+    const record = this.getRemote(projectPath, gitlink);
+    if (!record) return;
+    record.lastSkipAt = new Date().toISOString();
+    this.scheduleSave();
+  }
+
+  // Record the result of an auto-commit, only failures and the recovery from them are saved
+  recordCommit(projectPath, failure) {
+    const project = this.getProject(projectPath, Boolean(failure));
+    if (!project || (!failure && project.commit.consecutiveFailures === 0)) return;
+
+    if (failure) {
+      recordFailure(project.commit, failure);
+    } else {
+      project.commit.consecutiveFailures = 0;
+      project.commit.lastFailure = null;
+    }
+    this.scheduleSave();
+  }
+
+  // Drop the saved state of remotes a project doesn't push to anymore
+  keepRemotes(projectPath, gitlinks) {
+    const project = this.getProject(projectPath);
+    if (!project) return;
+
+    const stale = Object.keys(project.remotes).filter(gitlink => !gitlinks.includes(gitlink));
+    for (const gitlink of stale) {
+      delete project.remotes[gitlink];
+    }
+    if (stale.length > 0) {
+      this.scheduleSave();
+    }
+  }
+
+  // Drop the saved state of a project that is no longer configured
+  forgetProject(projectPath) {
+    if (!this.projects[projectPath]) return;
+    delete this.projects[projectPath];
+    this.scheduleSave();
+  }
+
+  // Write the file shortly, so a burst of pushes is saved in one go
+  scheduleSave() {
+    if (!this.filePath || this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+  }
+
+  // Write changes that are still waiting (on shutdown)
+  flush() {
+    if (!this.saveTimeout) return;
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+    this.save();
+  }
+
+  // Write the state file, through a temporary file so a crash never leaves half a file behind
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, `${JSON.stringify({ version: STATE_VERSION, projects: this.projects }, null, 2)}\n`);
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.error(`Failed to save state to ${this.filePath}`, { error: error.message });
+    }
+  }
+}
+
+// Empty failure state, a project's commits have only this
+function createFailureRecord() {
+  return { lastFailureAt: null, consecutiveFailures: 0, lastFailure: null, errors: [] };
+}
+
+// Empty state of a remote
+function createRemoteRecord() {
+  return {
+    lastPushedSha: null,
+    pushedRefs: null,
+    tagsSignature: null,
+    lastPushAt: null,
+    lastSuccessAt: null,
+    lastSkipAt: null,
+    ...createFailureRecord()
+  };
+}
+
+// Add a failure to a record's streak and error history
+function recordFailure(record, failure) {
+  const entry = { at: new Date(failure.at || Date.now()).toISOString(), kind: failure.kind, message: failure.message };
+  record.lastFailureAt = entry.at;
+  record.consecutiveFailures++;
+  record.lastFailure = entry;
+  record.errors = [...record.errors, entry].slice(-MAX_ERROR_HISTORY);
+}
+
+module.exports = {
+  STATE_FILE_NAME,
+  StateStore
+};
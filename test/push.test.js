@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { configureLogger } = require('../lib/logger');
+const { createLocalProvider } = require('../lib/providers/local');
+const { getRescuePrefix, getRescueBranchName, pushBranch } = require('..');
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: os.devNull
+};
+
+const MAPPING = { source: 'refs/heads/main', label: 'main', target: 'main', detached: false };
+
+configureLogger({ level: 'error' });
+
+// Run git in a directory, resolves with its trimmed output
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf8' }).trim();
+}
+
+// Commit a change to a file on the current branch, returns the commit's sha
+function commit(cwd, name, content) {
+  fs.writeFileSync(path.join(cwd, name), content);
+  git(cwd, 'add', '-A');
+  git(cwd, 'commit', '-q', '-m', `Change ${name}`);
+  return git(cwd, 'rev-parse', 'HEAD');
+}
+
+// A project pushed to a bare remote, and a second clone that stands for another machine pushing to it
+function createRepos(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repopush-push-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const remote = path.join(root, 'remote.git');
+  const project = path.join(root, 'project');
+  const other = path.join(root, 'other');
+  git(root, 'init', '-q', '--bare', '-b', 'main', remote);
+  git(root, 'init', '-q', '-b', 'main', project);
+  commit(project, 'a.txt', 'one\n');
+  git(project, 'remote', 'add', 'origin', remote);
+  git(project, 'push', '-q', 'origin', 'main');
+  git(root, 'clone', '-q', remote, other);
+  return { remote, project, other };
+}
+
+// Push main the way pushToGitHub does: fetch the remote state first, then push the branch
+function push(project, pushStrategy) {
+  git(project, 'fetch', '-q', 'origin', '--prune', '--no-tags');
+  return pushBranch(project, createLocalProvider(), 'origin', MAPPING, pushStrategy);
+}
+
+// Branches of the remote with the sha they point to
+function remoteBranches(remote) {
+  const output = git(remote, 'for-each-ref', '--format=%(refname:short) %(objectname)', 'refs/heads');
+  return Object.fromEntries(output.split('\n').filter(Boolean).map(line => line.split(' ')));
+}
+
+test('getRescueBranchName builds a valid branch name from the host and the time', () => {
+  const name = getRescueBranchName(new Date('2024-05-01T14:30:15.123Z'));
+  assert.equal(name, `${getRescuePrefix()}20240501T143015Z`);
+  assert.match(name, /^repopush\/conflict-[A-Za-z0-9._-]+-20240501T143015Z$/);
+  assert.equal(git(os.tmpdir(), 'check-ref-format', '--branch', name), name);
+});
+
+test('pushBranch fast-forwards a remote that is behind', async t => {
+  const { remote, project } = createRepos(t);
+  const local = commit(project, 'a.txt', 'two\n');
+
+  assert.equal(await push(project, 'fast-forward'), true);
+  assert.deepEqual(remoteBranches(remote), { main: local });
+});
+
+test('pushBranch leaves a remote alone that already has the local commits', async t => {
+  const { remote, project, other } = createRepos(t);
+  const ahead = commit(other, 'b.txt', 'from elsewhere\n');
+  git(other, 'push', '-q', 'origin', 'main');
+
+  for (const pushStrategy of ['fast-forward', 'rescue']) {
+    assert.equal(await push(project, pushStrategy), true);
+    assert.deepEqual(remoteBranches(remote), { main: ahead });
+  }
+});
+
+test('pushBranch refuses to overwrite diverged history with push_strategy=fast-forward', async t => {
+  const { remote, project, other } = createRepos(t);
+  const theirs = commit(other, 'b.txt', 'from elsewhere\n');
+  git(other, 'push', '-q', 'origin', 'main');
+  commit(project, 'a.txt', 'local change\n');
+
+  assert.equal(await push(project, 'fast-forward'), false);
+  assert.deepEqual(remoteBranches(remote), { main: theirs });
+});
+
+test('pushBranch overwrites diverged history with push_strategy=force', async t => {
+  const { remote, project, other } = createRepos(t);
+  commit(other, 'b.txt', 'from elsewhere\n');
+  git(other, 'push', '-q', 'origin', 'main');
+  const local = commit(project, 'a.txt', 'local change\n');
+
+  assert.equal(await push(project, 'force'), true);
+  assert.deepEqual(remoteBranches(remote), { main: local });
+});
+
+test('pushBranch keeps diverged history on one rescue branch with push_strategy=rescue', async t => {
+  const { remote, project, other } = createRepos(t);
+  const theirs = commit(other, 'b.txt', 'from elsewhere\n');
+  git(other, 'push', '-q', 'origin', 'main');
+  const first = commit(project, 'a.txt', 'local change\n');
+
+  assert.equal(await push(project, 'rescue'), true);
+  const [rescue, ...more] = Object.keys(remoteBranches(remote)).filter(branch => branch !== 'main');
+  assert.equal(more.length, 0);
+  assert.ok(rescue.startsWith(getRescuePrefix()));
+  assert.deepEqual(remoteBranches(remote), { main: theirs, [rescue]: first });
+
+  // Pushing the same history again changes nothing, more local commits extend the same branch
+  assert.equal(await push(project, 'rescue'), true);
+  assert.deepEqual(remoteBranches(remote), { main: theirs, [rescue]: first });
+
+  const second = commit(project, 'a.txt', 'another local change\n');
+  assert.equal(await push(project, 'rescue'), true);
+  assert.deepEqual(remoteBranches(remote), { main: theirs, [rescue]: second });
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSnapshotTime } = require('..');
+
+test('parseSnapshotTime reads digits as a year, month or day at local midnight', () => {
+  assert.deepEqual(parseSnapshotTime('2024'), new Date(2024, 0, 1));
+  assert.deepEqual(parseSnapshotTime('202405'), new Date(2024, 4, 1));
+  assert.deepEqual(parseSnapshotTime('20240501'), new Date(2024, 4, 1));
+});
+
+test('parseSnapshotTime reads dates and times without a timezone as local time', () => {
+  assert.deepEqual(parseSnapshotTime('2024-05-01'), new Date(2024, 4, 1));
+  assert.deepEqual(parseSnapshotTime('2024-05-01T14:30'), new Date(2024, 4, 1, 14, 30));
+  assert.deepEqual(parseSnapshotTime('2024-05-01 14:30'), new Date(2024, 4, 1, 14, 30));
+});
+
+test('parseSnapshotTime keeps an explicit timezone', () => {
+  assert.deepEqual(parseSnapshotTime('2024-05-01T14:30:00Z'), new Date(Date.UTC(2024, 4, 1, 14, 30)));
+  assert.deepEqual(parseSnapshotTime('2024-05-01T14:30:00+02:00'), new Date(Date.UTC(2024, 4, 1, 12, 30)));
+});
+
+test('parseSnapshotTime returns null for text that is no time', () => {
+  assert.equal(parseSnapshotTime('yesterday'), null);
+  assert.equal(parseSnapshotTime('2024-13-45'), null);
+});